@@ -0,0 +1,240 @@
+/*
+ * Board Annotations Module for Chess PGN Trainer
+ * Draws coloured squares and arrows on top of a chessboard.js board using an SVG overlay.
+ *
+ * Annotations are grouped in named layers (ie: 'pgn' for the [%csl] / [%cal] commands found
+ * in the PGN comments) so that each feature can update its own markings without touching the
+ * others.  A layer looks like:
+ *
+ *   {
+ *     squares: [{ square: 'e5', color: 'R' }],
+ *     arrows:  [{ from: 'd1', to: 'h5', color: 'G' }]
+ *   }
+ *
+ * Squares are circled unless they have a shape: 'fill' shades the whole square and 'dot' puts a
+ * small disc in its centre (ie: the squares a selected piece can move to).
+ *
+ * chessboard.js rebuilds the board markup whenever it is resized or its orientation changes,
+ * so drawBoardAnnotations() needs to be called again after either of those.
+ */
+
+// Colours used by Lichess and ChessBase for the [%csl] and [%cal] commands
+const ANNOTATION_COLORS = {
+    G: '#15781B',   // green
+    R: '#882020',   // red
+    Y: '#E68F00',   // yellow
+    B: '#003088'    // blue
+};
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+let annotationLayers = {};
+
+// ── Parsing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Convert the [%csl] values of a PGN comment (ie: 'Re5') into square annotations
+ *
+ * @param {array} fields - The colorFields returned by PgnParser for the comment
+ * @returns {array} The square annotations (invalid values are ignored)
+ */
+function parseSquareAnnotations(fields) {
+    return (fields || [])
+        .filter((field) => /^[GRYB][a-h][1-8]$/.test(field))
+        .map((field) => ({ square: field.substring(1, 3), color: field[0] }));
+}
+
+/**
+ * Convert the [%cal] values of a PGN comment (ie: 'Gd1h5') into arrow annotations
+ *
+ * @param {array} arrows - The colorArrows returned by PgnParser for the comment
+ * @returns {array} The arrow annotations (invalid values are ignored)
+ */
+function parseArrowAnnotations(arrows) {
+    return (arrows || [])
+        .filter((arrow) => /^[GRYB][a-h][1-8][a-h][1-8]$/.test(arrow))
+        .map((arrow) => ({ from: arrow.substring(1, 3), to: arrow.substring(3, 5), color: arrow[0] }));
+}
+
+// ── Layers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Replace the contents of an annotation layer (call drawBoardAnnotations afterwards to show it)
+ *
+ * @param {string} name - The name of the layer
+ * @param {object} annotations - The squares and arrows of the layer
+ */
+function setAnnotationLayer(name, annotations) {
+    annotationLayers[name] = {
+        squares: annotations.squares || [],
+        arrows: annotations.arrows || []
+    };
+}
+
+/**
+ * Remove every annotation from every layer (call drawBoardAnnotations afterwards to update the board)
+ */
+function clearAnnotationLayers() {
+    annotationLayers = {};
+}
+
+// ── Drawing ─────────────────────────────────────────────────────────────────
+
+/**
+ * Get the position of the centre of a square on an 8x8 grid with a1 at the bottom left (white's view)
+ *
+ * @param {string} square - The square (ie: 'e4')
+ * @param {string} orientation - The orientation of the board ('white' or 'black')
+ * @returns {object} The x and y coordinates
+ */
+function getSquareCentre(square, orientation) {
+    const file = 'abcdefgh'.indexOf(square[0]);
+    const rank = parseInt(square[1], 10) - 1;
+
+    if (orientation === 'black') {
+        return { x: 7 - file + 0.5, y: rank + 0.5 };
+    }
+
+    return { x: file + 0.5, y: 7 - rank + 0.5 };
+}
+
+/**
+ * Create an SVG element with the given attributes
+ *
+ * @param {string} tag - The SVG tag name
+ * @param {object} attributes - The attributes to set
+ * @returns {Element}
+ */
+function createSvgElement(tag, attributes) {
+    const element = document.createElementNS(SVG_NAMESPACE, tag);
+
+    for (const [key, value] of Object.entries(attributes)) {
+        element.setAttribute(key, value);
+    }
+
+    return element;
+}
+
+/**
+ * Draw an annotated square: a circle around it, or its shape ('fill' or 'dot') when it has one
+ *
+ * @param {Element} svg - The overlay to draw on
+ * @param {object} annotation - The square annotation
+ * @param {string} orientation - The orientation of the board
+ */
+function drawSquareAnnotation(svg, annotation, orientation) {
+    const centre = getSquareCentre(annotation.square, orientation);
+    const color = ANNOTATION_COLORS[annotation.color] || annotation.color;
+
+    if (annotation.shape === 'fill') {
+        svg.appendChild(createSvgElement('rect', {
+            x: centre.x - 0.5,
+            y: centre.y - 0.5,
+            width: 1,
+            height: 1,
+            fill: color,
+            opacity: 0.5
+        }));
+        return;
+    }
+
+    if (annotation.shape === 'dot') {
+        svg.appendChild(createSvgElement('circle', {
+            cx: centre.x,
+            cy: centre.y,
+            r: 0.15,
+            fill: color,
+            opacity: 0.6
+        }));
+        return;
+    }
+
+    svg.appendChild(createSvgElement('circle', {
+        cx: centre.x,
+        cy: centre.y,
+        r: 0.45,
+        fill: 'none',
+        stroke: color,
+        'stroke-width': 0.08,
+        opacity: 0.8
+    }));
+}
+
+/**
+ * Draw an arrow between two squares
+ *
+ * @param {Element} svg - The overlay to draw on
+ * @param {object} annotation - The arrow annotation
+ * @param {string} orientation - The orientation of the board
+ */
+function drawArrowAnnotation(svg, annotation, orientation) {
+    const from = getSquareCentre(annotation.from, orientation);
+    const to = getSquareCentre(annotation.to, orientation);
+    const color = ANNOTATION_COLORS[annotation.color] || annotation.color;
+
+    const length = Math.hypot(to.x - from.x, to.y - from.y);
+    if (length === 0) {
+        return;
+    }
+
+    // Unit vectors along and across the arrow
+    const ux = (to.x - from.x) / length;
+    const uy = (to.y - from.y) / length;
+    const px = -uy;
+    const py = ux;
+
+    const headLength = 0.45;
+    const headWidth = 0.3;
+
+    // Stop the shaft where the head begins so the tip stays sharp
+    const baseX = to.x - ux * headLength;
+    const baseY = to.y - uy * headLength;
+
+    svg.appendChild(createSvgElement('line', {
+        x1: from.x,
+        y1: from.y,
+        x2: baseX,
+        y2: baseY,
+        stroke: color,
+        'stroke-width': 0.16,
+        'stroke-linecap': 'round',
+        opacity: 0.8
+    }));
+
+    svg.appendChild(createSvgElement('polygon', {
+        points: `${to.x},${to.y} ${baseX + px * headWidth},${baseY + py * headWidth} ${baseX - px * headWidth},${baseY - py * headWidth}`,
+        fill: color,
+        opacity: 0.8
+    }));
+}
+
+/**
+ * Draw every annotation layer on top of a board (replacing anything drawn before)
+ *
+ * @param {string} boardId - The id of the element holding the chessboard.js board
+ * @param {string} orientation - The orientation of the board ('white' or 'black')
+ */
+function drawBoardAnnotations(boardId, orientation) {
+    const boardElement = document.querySelector('#' + boardId + ' .board-b72b1');
+    if (!boardElement) {
+        return;
+    }
+
+    const previous = boardElement.querySelector('.board-annotations');
+    if (previous) {
+        previous.remove();
+    }
+
+    const svg = createSvgElement('svg', {
+        class: 'board-annotations',
+        viewBox: '0 0 8 8',
+        preserveAspectRatio: 'none'
+    });
+
+    for (const layer of Object.values(annotationLayers)) {
+        layer.squares.forEach((annotation) => drawSquareAnnotation(svg, annotation, orientation));
+        layer.arrows.forEach((annotation) => drawArrowAnnotation(svg, annotation, orientation));
+    }
+
+    boardElement.appendChild(svg);
+}
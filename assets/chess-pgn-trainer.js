@@ -10,7 +10,14 @@
 /* eslint no-undef: "error"*/
 /* global Chess, Chessboard, PgnParser, FileReader */
 /* global $, document, localStorage, alert, navigator, window */
-/* global w3_close, showresults */
+/* global w3_close, showresults, getModePuzzle */
+/* global buildMoveTree, findTreeNode, getTreeMainline, getTreePath, formatMoveNumber, formatMoveLine */
+/* global isKnownMistake, findMatingChild, getNagSymbol, detectPuzzleFormat, getPuzzleImporter, Worker */
+/* global formatPuzzlePGN, getPuzzleTagNames, getPuzzleTagValues, isDateTag, getFilteredPuzzleIndexes, describeFilter */
+/* global parsePuzzleRange, isPuzzleInRange */
+/* global getPuzzleFileLabel, getPlaylistName, orderPlaylistPuzzles, getPlaylistFileResults */
+/* global setAnnotationLayer, clearAnnotationLayers, drawBoardAnnotations, parseSquareAnnotations, parseArrowAnnotations */
+/* global getPGNTagText */
 
 /* eslint no-unused-vars: ["error", { "vars": "all", "args": "none"}] */
 
@@ -41,8 +48,18 @@ let AnalysisLink = false;
 // Game & Performance variables
 let moveCfg;
 let moveHistory;
+let moveTree;
 let puzzleset;
+let currentPuzzle;
+let PGNFileName = '';
+let PGNValidationReport = [];
+let PGNWorker; // The web worker parsing the PGN file that is being loaded (if any)
 let errorcount;
+let missedPuzzles = []; // Index (in puzzleset) of every puzzle with an error during this run
+let puzzleErrors = {}; // Number of errors made on every puzzle (by index in puzzleset) during this run
+let alternativeSolutions = []; // Checkmates played instead of the one in the PGN during this run ({ index, played, expected })
+let puzzleRetries = {}; // Number of times every puzzle was replayed after its solution was shown (by index in puzzleset) during this run
+let puzzlePeeks = {}; // Number of times the position of every puzzle was peeked at in blindfold mode (by index in puzzleset) during this run
 let error;
 let ElapsedTimehhmmss;
 let AvgTimehhmmss;
@@ -51,14 +68,43 @@ let setcomplete;
 let stats;
 let puzzlecomplete = false;
 let pauseflag = false;
+let refutationPlaying = false;
+let refutationTimer;
+let wrongMoveTimer; // Removes the red highlighting of a rejected move
+let replyTimer; // Plays the opponent's reply once the reply delay is over
+let replyPending = false;
+let solutionPlaying = false;
+let solutionTimer;
+let wrongAttempts = 0; // Wrong moves played on the current puzzle (see the "Show the solution" setting)
+let puzzleReplay = false; // True while the current puzzle is replayed after its solution was shown (see retryPuzzle)
+let reviewing = false; // True while the finished puzzle is being reviewed (see the "Review each puzzle" setting)
+let reviewMoves = []; // The moves of the puzzle being reviewed
+let puzzleTimer; // Counts down the time limit of the current puzzle (if it has one)
+let puzzleTimeRemaining = 0;
+let puzzleHintShown = false; // True once the PGNTrainerHint text of the current puzzle is shown
+let selectedSquare = null; // The square of the piece picked by clicking or tapping on it (click-to-move)
+let userSide = 'w'; // The side played by the user in the current puzzle (see the "Blindfold" option)
+let peeking = false; // True while the pieces are shown for a moment in blindfold mode
+let peekTimer;
 let increment = 0;
 let PuzzleOrder = [];
+let sessionPuzzles = []; // Index (in puzzleset) of the puzzles in this run (ie: the ones matching the filters and range)
+let puzzleFilters = []; // Tag filters for the loaded set (see puzzle-filter.js)
+let playlistFiles = []; // Names of the files combined into the loaded set (empty unless several files are loaded)
+let libraryFiles = []; // Paths of the library files the loaded set was read from (empty for local files and pasted PGN)
+let fileStats = []; // The stats of every file of a playlist for this run
 
 // Promotion variables
 let promoteTo;
 let promotionDialog;
 
 // Time-related variables
+const refutationMoveDelay = 800; // Milliseconds between the moves when showing the refutation of a mistake
+const wrongMoveFlashTime = 600; // Milliseconds a rejected move stays highlighted in red
+const peekTime = 1500; // Milliseconds the pieces are shown for when peeking in blindfold mode
+let replyDelay = 0; // Milliseconds before the computer plays its reply (see the settings)
+let animationSpeed = 200; // Milliseconds taken by the pieces to move on the board (see the settings)
+let solutionAttempts = 0; // Number of wrong moves after which the solution is shown (0 to never show it)
 let PauseStartDateTime;
 let PauseendDateTime;
 let startDateTime = new Date();
@@ -77,7 +123,7 @@ $('#versionnumber').text(`version ${version}`);
 let checkboxlist = ['#playbothsides', '#playoppositeside', '#randomizeSet', '#flipped', '#analysisboard'];
 
 // Collection of text elements
-let messagelist = ['#messagecomplete', '#puzzlename_landscape', '#puzzlename_portrait', '#errors', '#errorRate', '#elapsedTime', '#avgTime'];
+let messagelist = ['#messagecomplete', '#puzzlename_landscape', '#puzzlename_portrait', '#errors', '#errorRate', '#elapsedTime', '#avgTime', '#fileStats', '#alternativeSolutions', '#retries', '#peeks'];
 
 // Assign default configuration of the board
 // Assign default theme for the pieces for both the board and the promotion popup window
@@ -94,6 +140,7 @@ config = {
         onDragStart: dragStart,
         onDrop: dropPiece,
         onSnapEnd: snapEnd,
+        moveSpeed: animationSpeed,
         position: 'start',
 };
 
@@ -104,21 +151,30 @@ config = {
 // -----------------------
 
 /**
- * Save current game progress to resume later
+ * Save current game progress to resume later.  Only the library files of the set are saved along
+ * with the order and indexes of the puzzles, the set itself is read again from the files on resume.
  */
 function saveCurrentGameProgress() {
-        if (!puzzleset || puzzleset.length === 0 || setcomplete) {
+        // Local files and pasted PGN can't be read again
+        if (!puzzleset || puzzleset.length === 0 || setcomplete || libraryFiles.length === 0) {
                 return;
         }
 
         const gameState = {
+                libraryFiles: libraryFiles,
                 increment: increment,
                 PuzzleOrder: PuzzleOrder,
-                puzzleset: puzzleset,
+                sessionPuzzles: sessionPuzzles,
+                puzzleFilters: puzzleFilters,
                 errorcount: errorcount,
+                missedPuzzles: missedPuzzles,
+                puzzleErrors: puzzleErrors,
+                puzzleRetries: puzzleRetries,
+                puzzlePeeks: puzzlePeeks,
+                alternativeSolutions: alternativeSolutions,
+                playlistOrder: $('#playlistOrder').val(),
                 pauseDateTimeTotal: pauseDateTimeTotal,
                 startDateTime: startDateTime.getTime(),
-                lastSelectedPgnFile: $('#openPGN').val(),
                 gameMode: typeof getCurrentGameMode === 'function' ? getCurrentGameMode() : 'standard',
                 timestamp: new Date().getTime()
         };
@@ -128,48 +184,76 @@ function saveCurrentGameProgress() {
 
 /**
  * Resume game from saved state
+ *
+ * @returns {Promise} Resolves to true once the game is resumed, false if it could not be resumed
  */
 function resumeSavedGame() {
         const savedState = loadGameState();
-        if (!savedState) return false;
 
-        // Basic validation of saved state
-        if (!savedState.puzzleset || savedState.puzzleset.length === 0) return false;
+        // Games saved before the set was saved by reference can't be resumed
+        if (!savedState || !savedState.libraryFiles || savedState.libraryFiles.length === 0) {
+                clearSavedGameState();
+                return Promise.resolve(false);
+        }
 
-        // Restore state variables
-        puzzleset = savedState.puzzleset;
-        PuzzleOrder = savedState.PuzzleOrder;
-        increment = savedState.increment;
-        errorcount = savedState.errorcount;
-        pauseDateTimeTotal = savedState.pauseDateTimeTotal;
-        startDateTime = new Date(savedState.startDateTime);
+        return loadLibraryFiles(savedState.libraryFiles).then(() => {
+                // The files could not be loaded (the error has already been shown)
+                if (puzzleset.length === 0) {
+                        return false;
+                }
 
-        if (savedState.lastSelectedPgnFile) {
-                $('#openPGN').val(savedState.lastSelectedPgnFile);
-        }
+                const sessionIndexes = savedState.sessionPuzzles || puzzleset.map((puzzle, index) => index);
 
-        // Restore game mode
-        if (savedState.gameMode && typeof setGameMode === 'function') {
-                setGameMode(savedState.gameMode);
-        }
+                // The order and indexes no longer match the set if a file was changed in the meantime
+                if (sessionIndexes.some((index) => index >= puzzleset.length)) {
+                        alert('The saved game can\'t be resumed, its PGN file has changed since.');
+                        clearSavedGameState();
+                        resetGame();
+                        return false;
+                }
 
-        // Setup UI for the resumed game
-        $('#puzzleNumbertotal_landscape').text(puzzleset.length);
-        $('#puzzleNumbertotal_portrait').text(puzzleset.length);
+                // Restore state variables
+                PuzzleOrder = savedState.PuzzleOrder;
+                sessionPuzzles = sessionIndexes;
+                puzzleFilters = savedState.puzzleFilters || [];
+                increment = savedState.increment;
+                errorcount = savedState.errorcount;
+                missedPuzzles = savedState.missedPuzzles || [];
+                puzzleErrors = savedState.puzzleErrors || {};
+                puzzleRetries = savedState.puzzleRetries || {};
+                puzzlePeeks = savedState.puzzlePeeks || {};
+                alternativeSolutions = savedState.alternativeSolutions || [];
+                pauseDateTimeTotal = savedState.pauseDateTimeTotal;
+                startDateTime = new Date(savedState.startDateTime);
+
+                if (playlistFiles.length > 1) {
+                        $('#playlistOrder').val(savedState.playlistOrder || 'sequential');
+                }
 
-        // Load the puzzle we were on
-        loadPuzzle(puzzleset[PuzzleOrder[increment]]);
+                // Restore game mode
+                if (savedState.gameMode && typeof setGameMode === 'function') {
+                        setGameMode(savedState.gameMode);
+                }
 
-        // UI adjustments - Match startTest UI state
-        setDisplayAndDisabled(
-                ['#btn_starttest_landscape', '#btn_starttest_portrait',
-                        '#btn_restart_landscape', '#btn_restart_portrait', '#btn_showresults'], 'none');
-        setDisplayAndDisabled(
-                ['#btn_pause_landscape', '#btn_pause_portrait',
-                        '#btn_hint_landscape', '#btn_hint_portrait'], 'block', false);
-        setCheckboxSelectability(false);
+                // Setup UI for the resumed game
+                $('#puzzleNumbertotal_landscape').text(sessionPuzzles.length);
+                $('#puzzleNumbertotal_portrait').text(sessionPuzzles.length);
+                updateFilterSummary();
+
+                // Load the puzzle we were on
+                loadPuzzle(getCurrentSessionPuzzle());
+
+                // UI adjustments - Match startTest UI state
+                setDisplayAndDisabled(
+                        ['#btn_starttest_landscape', '#btn_starttest_portrait',
+                                '#btn_restart_landscape', '#btn_restart_portrait', '#btn_showresults'], 'none');
+                setDisplayAndDisabled(
+                        ['#btn_pause_landscape', '#btn_pause_portrait',
+                                '#btn_hint_landscape', '#btn_hint_portrait'], 'block', false);
+                setCheckboxSelectability(false);
 
-        return true;
+                return true;
+        });
 }
 
 window.addEventListener('beforeunload', () => {
@@ -259,6 +343,7 @@ function changePieces() {
                 onDragStart: dragStart,
                 onDrop: dropPiece,
                 onSnapEnd: snapEnd,
+                moveSpeed: animationSpeed,
                 position: 'start',
         };
 
@@ -302,6 +387,36 @@ function changecolor() {
 
 }
 
+/**
+ * Sets how long the computer waits before playing its reply based on the selection in the settings
+ */
+function changeReplyDelay() { // eslint-disable-line no-unused-vars
+        replyDelay = parseInt($('#reply-delay').val(), 10) || 0;
+
+        saveItem('replydelay', replyDelay);
+}
+
+/**
+ * Sets how fast the pieces move on the board based on the selection in the settings
+ */
+function changeAnimationSpeed() { // eslint-disable-line no-unused-vars
+        animationSpeed = parseInt($('#animation-speed').val(), 10) || 0;
+
+        // chessboard.js keeps using the config object it was created with, so the current board picks up the new speed too
+        config.moveSpeed = animationSpeed;
+
+        saveItem('animationspeed', animationSpeed);
+}
+
+/**
+ * Sets after how many wrong moves the solution is shown based on the selection in the settings
+ */
+function changeSolutionAttempts() { // eslint-disable-line no-unused-vars
+        solutionAttempts = parseInt($('#solution-attempts').val(), 10) || 0;
+
+        saveItem('solutionattempts', solutionAttempts);
+}
+
 /**
  * Toggles the application between dark and light mode.  Saves current setting to file
  */
@@ -344,6 +459,9 @@ function resizeBoards() { // eslint-disable-line no-unused-vars
         board.resize();
         blankBoard.resize();
         changecolor();
+
+        // Resizing rebuilds the board so the annotations need to be drawn again
+        redrawBoardAnnotations();
 }
 
 /**
@@ -354,6 +472,21 @@ function resizeBoards() { // eslint-disable-line no-unused-vars
  */
 function updateBoard(animate) {
         board.position(game.fen(), animate);
+        updateBlindfoldBoard();
+        updateMoveHighlights();
+}
+
+/**
+ * Draw the annotation layers on the board, and on the blank board while it stands in for the board in blindfold mode
+ */
+function redrawBoardAnnotations() {
+        drawBoardAnnotations('myBoard', board.orientation());
+
+        if (isBlindfolded() && !pauseflag) {
+                drawBoardAnnotations('blankBoard', blankBoard.orientation());
+        } else {
+                $('#blankBoard .board-annotations').remove();
+        }
 }
 
 
@@ -369,9 +502,11 @@ function updateBoard(animate) {
 function handleResumeChoice(resume) {
         document.getElementById('resume-modal').style.display = 'none';
         if (resume) {
-                if (resumeSavedGame()) {
-                        console.log('Game resumed from saved state');
-                }
+                resumeSavedGame().then((resumed) => {
+                        if (resumed) {
+                                console.log('Game resumed from saved state');
+                        }
+                });
         } else {
                 clearSavedGameState();
                 resetGame();
@@ -383,6 +518,7 @@ function handleResumeChoice(resume) {
  */
 function initalize() {
 
+        loadPGNLibrary();
         loadSettings();
         addPieceSetNames();
         changePieces();
@@ -422,7 +558,8 @@ function loadSettings() {
         // Set defaults if running for the first time
 
         // Default keys and values
-        var defaults = { light: 'DEE3E6', dark: '769457', pieceIndex: '0', darkmode: '0', copy2clipboard: '1', csvheaders: '1' };
+        var defaults = { light: 'DEE3E6', dark: '769457', pieceIndex: '0', darkmode: '0', copy2clipboard: '1', csvheaders: '1',
+                replydelay: '0', animationspeed: '200', solutionattempts: '0', reviewpuzzles: '0' };
 
         // Load defaults if any keys are missing
         for (const [key, value] of Object.entries(defaults)) {
@@ -442,6 +579,19 @@ function loadSettings() {
         // CSV Headers setting
         if (readItem('csvheaders') == "1") { $("#chk_csvheaders").prop("checked", true); }
 
+        // Review each puzzle setting
+        if (readItem('reviewpuzzles') == "1") { $("#chk_review").prop("checked", true); }
+
+        // Reply delay and animation speed settings
+        $('#reply-delay').val(readItem('replydelay'));
+        $('#animation-speed').val(readItem('animationspeed'));
+        replyDelay = parseInt(readItem('replydelay'), 10) || 0;
+        animationSpeed = parseInt(readItem('animationspeed'), 10) || 0;
+
+        // Show the solution setting
+        $('#solution-attempts').val(readItem('solutionattempts'));
+        solutionAttempts = parseInt(readItem('solutionattempts'), 10) || 0;
+
 }
 
 /**
@@ -490,6 +640,12 @@ function confirmOnlyOneOption() {
  */
 function setCheckboxSelectability(state) {
 
+        // The filters and range can only be changed between runs
+        $('#btn_filter').prop('disabled', !state);
+        $('#puzzleRange').prop('disabled', !state);
+        $('#playlistOrder').prop('disabled', !state);
+        $('#blindfold').prop('disabled', !state);
+
         for (var checkboxelement of checkboxlist) {
                 if (state) {
                         if ($(checkboxelement).prop('disabled')) {
@@ -557,70 +713,152 @@ function checkAndPlayNext() {
         saveCurrentGameProgress();
 
         // Need to go this way since .moveNumber isn't working...
-        if (game.history()[game.history().length - 1] === moveHistory[game.history().length - 1]) { // correct move
+        // A move is correct if it follows the main line or any of the variations in the PGN
+        const branch = findTreeNode(moveTree, game.history());
 
-                // Handle correct move in current game mode
-                if (typeof handleCorrectMove === 'function') {
-                        handleCorrectMove();
-                }
+        if (branch !== null && isKnownMistake(findTreeNode(moveTree, game.history().slice(0, -1)), branch)) { // variation move marked as a mistake in the PGN (?, ?? or ?!)
+                registerWrongMove();
+                wrongAttempts += 1;
+
+                // Leave the move on the board, play the refutation and then take it all back
+                showRefutation(branch);
+                return;
+        }
+
+        if (branch !== null) { // correct move
+
+                // Follow the continuation of whichever line was played
+                moveHistory = game.history().concat(getTreeMainline(branch));
+
+                registerCorrectMove();
+
+                // Show any PGN comments and square/arrow annotations for the move just played
+                updateCommentary();
+                updatePGNAnnotations();
 
                 // play next move if the "Play both sides" box is unchecked
-                if (!$('#playbothsides').is(':checked')) {
-                        // Play the opponent's next move from the PGN
+                if (!$('#playbothsides').is(':checked') && game.history().length < moveHistory.length) {
+                        // Wait for the reply delay (if any) before playing the opponent's next move from the PGN.
+                        // The user can't move in the meantime since it is the opponent's turn.
+                        if (replyDelay > 0) {
+                                replyPending = true;
+                                replyTimer = setTimeout(playReply, replyDelay);
+                                return;
+                        }
+
                         game.move(moveHistory[game.history().length]);
+                        updateCommentary();
+                        updatePGNAnnotations();
                 }
-        } else { // wrong move
+        } else if (findAlternativeMate() !== null) { // a different checkmate than the one in the PGN
 
-                if (error === false) { // Add one to the error count for any given puzzle
-                        errorcount += 1;
-                }
-                error = true;
+                const solution = registerAlternativeSolution(findAlternativeMate());
 
-                // Handle incorrect move in current game mode
-                if (typeof handleIncorrectMove === 'function') {
-                        handleIncorrectMove();
-                }
+                // Checkmate ends the game so the puzzle is complete
+                moveHistory = game.history();
 
-                // Undo that move from the game
-                game.undo();
+                registerCorrectMove();
+
+                updateCommentary();
+                addCommentaryEntry($('#commentary_current'),
+                        formatMoveNumber(currentPuzzle.FEN, game.history().length - 1, solution.played),
+                        `Alternative solution (the PGN gives ${solution.expected})`);
+                updatePGNAnnotations();
+        } else { // wrong move
+
+                registerWrongMove();
+                wrongAttempts += 1;
 
-                // Maybe flash the square in red to indicate an error?
+                // Undo that move from the game, flashing its squares in red while the piece snaps back
+                flashWrongMove(game.undo());
 
+                // Too many wrong moves, play out the solution once the piece is back
+                if (isSolutionDue()) {
+                        showSolution();
+                }
 
                 // Snap the bad piece back
                 return 'snapback';
         }
 
+        checkPuzzleComplete();
+}
+
+/**
+ * Play the opponent's next move from the PGN once the reply delay is over
+ */
+function playReply() {
+        replyPending = false;
+
+        game.move(moveHistory[game.history().length]);
+        updateBoard(true);
+
+        updateCommentary();
+        updatePGNAnnotations();
+        indicateMove();
+
+        checkPuzzleComplete();
+}
+
+/**
+ * Stop waiting for the opponent's reply (if the reply delay is running) without touching the game
+ */
+function stopReply() {
+        clearTimeout(replyTimer);
+        replyPending = false;
+}
+
+/**
+ * Once all the expected moves have been played, move on to the next puzzle or end the set
+ */
+function checkPuzzleComplete() {
         // Check if all the expected moves have been played
         if (game.history().length === moveHistory.length) {
                 puzzlecomplete = true;
+                stopPuzzleTimer();
 
                 // Notify game mode that a puzzle is complete
                 if (typeof handlePuzzleComplete === 'function') {
                         handlePuzzleComplete();
                 }
 
-                // Check to see if this is the last puzzle.
-                // For SR/Infinity mode, defer to the mode — the queue may be
-                // longer than puzzleset.length due to reinserted retries.
-                const isInfinityMode = typeof getCurrentGameMode === 'function' &&
-                        getCurrentGameMode() === 'infinity';
-                if (!isInfinityMode && increment + 1 === puzzleset.length) {
-                        setcomplete = true;
+                // Go over the finished puzzle first if the review is turned on (its "Next" button moves on)
+                if ($('#chk_review').is(':checked')) {
+                        showReview();
+                        return;
                 }
 
-                // Check if we should continue to next puzzle based on current game mode
-                const shouldContinue = typeof shouldContinueToNextPuzzle === 'function' ? 
-                        shouldContinueToNextPuzzle() : (increment < puzzleset.length - 1);
-
-                // Are there more puzzles to go?  If yes, load the next one in the sequence
-                if (shouldContinue) {
-                        increment += 1;
-                        loadPuzzle(puzzleset[PuzzleOrder[increment]]);
-                } else if (isInfinityMode) {
-                        // SR session complete — trigger end-of-session UI
-                        setcomplete = true;
-                }
+                moveOnFromPuzzle();
+        }
+}
+
+/**
+ * Load the next puzzle once the current one is complete, or show the results if it was the last one
+ */
+function moveOnFromPuzzle() {
+        // Check to see if this is the last puzzle.
+        // For SR/Infinity and Repertoire modes, defer to the mode — the queue may be
+        // longer than the number of puzzles due to reinserted retries (or lines still to learn).
+        const modeDecidesEnd = typeof getCurrentGameMode === 'function' &&
+                ['infinity', 'repertoire'].includes(getCurrentGameMode());
+        if (!modeDecidesEnd && increment + 1 === PuzzleOrder.length) {
+                setcomplete = true;
+        }
+
+        // Check if we should continue to next puzzle based on current game mode
+        const shouldContinue = typeof shouldContinueToNextPuzzle === 'function' ? 
+                shouldContinueToNextPuzzle() : (increment < PuzzleOrder.length - 1);
+
+        // Are there more puzzles to go?  If yes, load the next one in the sequence
+        if (shouldContinue) {
+                // Keep the comments of the finished puzzle visible while working on the next one
+                keepPreviousCommentary();
+
+                increment += 1;
+                loadPuzzle(getCurrentSessionPuzzle());
+        } else if (modeDecidesEnd) {
+                // SR/Repertoire session complete — trigger end-of-session UI
+                setcomplete = true;
         }
 
         // Stop once all the puzzles in the set are done
@@ -648,182 +886,614 @@ function checkAndPlayNext() {
                 // Clear the move indicator
                 $('#moveturn').text('');
 
+                // Show the pieces again in blindfold mode
+                stopPeek();
+                updateBlindfoldBoard();
         }
 }
 
 /**
- * Clear all the on-screen messages
+ * Check if the move just played is checkmate where the PGN also expects a checkmate (but a different one)
+ *
+ * @returns {string|null} The mating move of the PGN, or null if the move played is not an alternative mate
  */
-function clearMessages() {
+function findAlternativeMate() {
+        const parent = findTreeNode(moveTree, game.history().slice(0, -1));
 
-        for (var messageelement of messagelist) {
-                $(messageelement).text('');
+        if (parent === null || !game.in_checkmate()) {
+                return null;
         }
+
+        const mate = findMatingChild(parent);
+        return mate ? mate.san : null;
 }
 
 /**
- * Indicate who's turn it is to move
+ * Log a checkmate that differs from the one in the PGN for the results
+ *
+ * @param {string} expected - The mating move of the PGN
+ * @returns {object} The logged solution
  */
-function indicateMove() {
-        $('#moveturn').text('White to move');
+function registerAlternativeSolution(expected) {
+        const solution = {
+                index: PuzzleOrder[increment],
+                played: game.history().pop(),
+                expected: expected,
+        };
 
-        if (game.turn() === 'b') {
-                $('#moveturn').text('Black to move');
+        alternativeSolutions.push(solution);
+        return solution;
+}
+
+/**
+ * Record an error (a wrong move or a hint) for the current puzzle.  Only the first one counts.
+ */
+function registerPuzzleError() {
+        if (error === false) { // Add one to the error count for any given puzzle
+                errorcount += 1;
+
+                // Remember the puzzle for the missed puzzles download (puzzles can come up more than once in some modes)
+                if (!missedPuzzles.includes(PuzzleOrder[increment])) {
+                        missedPuzzles.push(PuzzleOrder[increment]);
+                }
+                puzzleErrors[PuzzleOrder[increment]] = (puzzleErrors[PuzzleOrder[increment]] || 0) + 1;
         }
+        error = true;
 }
 
 /**
- * Attempt to add the chosen move to the current game
- *
- * @param {chess} game - The current chess.js object
- * @param {object} cfg - The configuration of the current move (from, to, promotion)
- * @returns {string}
+ * Record a correct move for the current puzzle
  */
-function makeMove(game, cfg) {
-        // see if the move is legal
-        const move = game.move(cfg);
+function registerCorrectMove() {
+        // Handle correct move in current game mode (a replayed puzzle only counts in its retries)
+        if (!puzzleReplay && typeof handleCorrectMove === 'function') {
+                handleCorrectMove();
+        }
+}
 
-        // illegal move
-        if (move === null) {
-                return 'snapback';
+/**
+ * Record a wrong move for the current puzzle
+ */
+function registerWrongMove() {
+        registerPuzzleError();
+
+        // Handle incorrect move in current game mode (a replayed puzzle has already been penalised)
+        if (!puzzleReplay && typeof handleIncorrectMove === 'function') {
+                handleIncorrectMove();
         }
 }
 
 /**
- * Handle when a user presses the "pause" button
+ * Explain why the move just played is a mistake and play out the refutation from the PGN on the board.
+ * Once done, the mistake and the refutation are taken back so that the user can try again.
+ *
+ * @param {object} node - The tree node of the mistake that was played
  */
-function pauseGame() {
-        // Start a new counter (to then subtract from overall total)
-        //$(window).trigger('resize');
-        switch (pauseflag) {
-        case false:
-                $('#btn_pause_landscape').text('Resume');
-                $('#btn_pause_portrait').text('Resume');
-                pauseflag = true;
-                PauseStartDateTime = new Date();
+function showRefutation(node) {
+        const ply = game.history().length - 1;
+        const refutation = getTreeMainline(node);
+
+        // Explain the mistake along with the line that refutes it
+        const container = $('#commentary_mistake');
+        container.empty();
+        addCommentaryEntry(container, formatMoveNumber(currentPuzzle.FEN, ply, node.san) + getNagSymbol(node),
+                node.comment || 'This move is a mistake.');
+
+        if (refutation.length > 0) {
+                addCommentaryEntry(container, 'Refutation:', formatMoveLine(currentPuzzle.FEN, ply + 1, refutation));
+        }
 
-                // hide the board
-                $('#myBoard').css('display', 'none');
-                $('#blankBoard').css('display', 'block');
+        setCommentaryVisibility();
 
-                // Remove focus on the pause/resume button
-                $('#btn_pause_landscape').blur();
-                $('#btn_pause_portrait').blur();
+        // Play the refutation one move at a time
+        refutationPlaying = true;
+        let played = 0;
 
-                // Disable the Hint, Reset and Open PGN buttons while paused
-                $('#btn_reset').prop('disabled', true);
-                $('#openPGN_button').prop('disabled', true);
-                $('#btn_hint_landscape').prop('disabled', true);
-                $('#btn_hint_portrait').prop('disabled', true);
-                break;
+        const playNext = () => {
+                // Hold the refutation while the game is paused (the board is hidden)
+                if (pauseflag) {
+                        refutationTimer = setTimeout(playNext, refutationMoveDelay);
+                        return;
+                }
 
-        case true:
-                $('#btn_pause_landscape').text('Pause');
-                $('#btn_pause_portrait').text('Pause');
-                pauseflag = false;
-                PauseendDateTime = new Date();
+                if (played < refutation.length) {
+                        game.move(refutation[played]);
+                        played += 1;
+                        updateBoard(true);
+                        refutationTimer = setTimeout(playNext, refutationMoveDelay);
+                        return;
+                }
 
-                // Keep running total of paused time
-                pauseDateTimeTotal += (PauseendDateTime - PauseStartDateTime);
+                // Take back the refutation and the mistake itself
+                for (let i = 0; i <= played; i++) {
+                        game.undo();
+                }
 
-                // show the board
-                $('#myBoard').css('display', 'block');
-                $('#blankBoard').css('display', 'none');
+                updateBoard(true);
+                refutationPlaying = false;
+                indicateMove();
 
-                // Remove focus on the pause/resume button 
-                $('#btn_pause_landscape').blur();
-                $('#btn_pause_portrait').blur();
+                // Too many wrong moves, play out the solution
+                if (isSolutionDue()) {
+                        showSolution();
+                }
+        };
 
-                // Re-enable the Hint, Reset and Open PGN buttons
-                $('#btn_reset').prop('disabled', false);
-                $('#openPGN_button').prop('disabled', false);
-                $('#btn_hint_landscape').prop('disabled', false);
-                $('#btn_hint_portrait').prop('disabled', false);
-                break;
-        }
-        $(window).trigger('resize');
-        changecolor();
+        refutationTimer = setTimeout(playNext, refutationMoveDelay);
 }
 
 /**
- * Reset everything in order to start a new testing session
+ * Check if the user has played enough wrong moves on the current puzzle to be shown the solution
+ *
+ * @returns {boolean}
  */
-function resetGame() {
-        // Stop any mode-specific timers
-        if (typeof stopModeTimer === 'function') {
-                stopModeTimer();
+function isSolutionDue() {
+        // Not once the game mode has ended the session (ie: the wrong move cost the last life)
+        if (typeof isGameSessionOver === 'function' && isGameSessionOver()) {
+                return false;
         }
 
-        // Reset the current game in memory
-        board = null;
-        blankBoard = null;
-        game = new Chess();
-        moveHistory = [];
-        puzzleset = [];
-        errorcount = 0;
-        pauseDateTimeTotal = 0;
-        error = false;
-        setcomplete = false;
-        AnalysisLink = false;
+        return solutionAttempts > 0 && wrongAttempts >= solutionAttempts;
+}
 
+/**
+ * Play the rest of the solution on the board, with an arrow for every move, and then have the user
+ * replay the puzzle from the start before moving on
+ */
+function showSolution() {
+        const ply = game.history().length;
+        const solution = moveHistory.slice(ply);
+
+        const container = $('#commentary_mistake');
+        container.empty();
+        addCommentaryEntry(container, 'Solution:', formatMoveLine(currentPuzzle.FEN, ply, solution));
+        setCommentaryVisibility();
+
+        clearSelection();
+
+        // Play the solution one move at a time
+        solutionPlaying = true;
+        let played = 0;
+
+        const playNext = () => {
+                // Hold the solution while the game is paused (the board is hidden)
+                if (pauseflag) {
+                        solutionTimer = setTimeout(playNext, refutationMoveDelay);
+                        return;
+                }
 
+                if (played < solution.length) {
+                        const move = game.move(solution[played]);
+                        played += 1;
 
-        puzzlecomplete = false;
-        pauseflag = false;
-        increment = 0;
-        PuzzleOrder = [];
+                        setAnnotationLayer('solution', { arrows: [{ from: move.from, to: move.to, color: 'G' }] });
+                        updateBoard(true);
+                        solutionTimer = setTimeout(playNext, refutationMoveDelay);
+                        return;
+                }
 
+                setAnnotationLayer('solution', {});
+                solutionPlaying = false;
+                retryPuzzle();
+        };
 
-        // Create the boards
-        board = new Chessboard('myBoard', config);
-        blankBoard = new Chessboard('blankBoard', { showNotation: false });
+        solutionTimer = setTimeout(playNext, refutationMoveDelay);
+}
 
-        // Resize the board to the current available space
-        $(window).trigger('resize');
+/**
+ * Start the current puzzle again after its solution was shown.  The replay is counted in the results
+ * (the puzzle already counts as an error so mistakes made while replaying it don't add to the errors,
+ * and don't cost lives or time in the game modes).
+ */
+function retryPuzzle() {
+        puzzleRetries[PuzzleOrder[increment]] = (puzzleRetries[PuzzleOrder[increment]] || 0) + 1;
 
-        // Set the counters back to zero
-        $('#puzzleNumber_landscape').text('0');
-        $('#puzzleNumber_portrait').text('0');
-        $('#puzzleNumbertotal_landscape').text('0');
-        $('#puzzleNumbertotal_portrait').text('0');
+        loadPuzzle(currentPuzzle, true);
 
-        // Show Start button and hide "Pause" and "Restart" buttons
-        setDisplayAndDisabled(['#btn_starttest_landscape', '#btn_starttest_portrait'], 'block', true);
-        setDisplayAndDisabled(
-                ['#btn_pause_landscape', '#btn_pause_portrait',
-                        '#btn_restart_landscape', '#btn_restart_portrait'], 'none', false);
+        addCommentaryEntry($('#commentary_mistake'), '', 'Now play the solution from the start.');
+        setCommentaryVisibility();
+}
 
-        // Hide & disable the "Hint" and the "Show Results" buttons
-        setDisplayAndDisabled(
-                ['#btn_hint_landscape', '#btn_hint_portrait', '#btn_showresults'], 'none', true);
+/**
+ * Stop showing the solution (if it is being played) without touching the game
+ */
+function stopSolution() {
+        clearTimeout(solutionTimer);
+        solutionPlaying = false;
+}
 
-        // Show the full board (in case the reset happened during a pause)
-        $('#myBoard').css('display', 'block');
-        $('#blankBoard').css('display', 'none');
+/**
+ * Stop showing a refutation (if one is being played) without touching the game
+ */
+function stopRefutation() {
+        clearTimeout(refutationTimer);
+        refutationPlaying = false;
+}
 
-        // Reset the progress bar
-        $('#progressbar_landscape').width("0%");
-        $('#progressbar_landscape').text("0%");
+/**
+ * Show the PGN comments of the current puzzle (game comment and the comments of the moves played so far)
+ */
+function updateCommentary() {
+        const container = $('#commentary_current');
+        container.empty();
 
-        $('#progressbar_portrait').width("0%");
-        $('#progressbar_portrait').text("0%");
+        // A new move was played so any previous mistake explanation no longer applies
+        $('#commentary_mistake').empty();
 
-        // Disable options checkboxes
-        setCheckboxSelectability(false);
+        if (currentPuzzle && currentPuzzle.Comment) {
+                addCommentaryEntry(container, '', currentPuzzle.Comment);
+        }
 
-        // Clear the checkboxes
-        for (var checkboxelement of checkboxlist) {
-                $(checkboxelement).prop('checked', false);
+        if (currentPuzzle && currentPuzzle.Hint && puzzleHintShown) {
+                addCommentaryEntry(container, 'Hint:', currentPuzzle.Hint);
         }
 
-        // Remove focus on the reset button
-        $('#btn_reset').blur();
+        getTreePath(moveTree, game.history()).forEach(
+                (node, ply) => {
+                        const text = [node.commentBefore, node.comment].filter(Boolean).join(' ');
 
-        // Clear any prior results/statistics
-        clearMessages();
+                        if (text !== '') {
+                                addCommentaryEntry(container, formatMoveNumber(currentPuzzle.FEN, ply, node.san), text);
+                        }
+                },
+        );
 
-        // Clear the move indicator
-        $('#moveturn').text('');
+        setCommentaryVisibility();
+}
+
+/**
+ * Draw the [%csl] and [%cal] annotations of the latest move on the board.
+ * When the computer has just replied to the user's move, the annotations of the user's move
+ * are kept if the reply has none of its own.
+ */
+function updatePGNAnnotations() {
+        const path = getTreePath(moveTree, game.history());
+        let node = path.slice(-2).reverse().find((x) => x.colorFields || x.colorArrows);
+
+        // Before the first move, use the annotations of the comment in front of the moves (if any)
+        if (path.length === 0) {
+                node = currentPuzzle;
+        }
+
+        if (node && (node.colorFields || node.colorArrows)) {
+                setAnnotationLayer('pgn', {
+                        squares: parseSquareAnnotations(node.colorFields),
+                        arrows: parseArrowAnnotations(node.colorArrows),
+                });
+        } else {
+                setAnnotationLayer('pgn', {});
+        }
+
+        redrawBoardAnnotations();
+}
+
+/**
+ * Highlight the last move played (ie: the opponent's reply) and the king of the side to move if it is in check
+ */
+function updateMoveHighlights() {
+        const squares = [];
+        const lastMove = game.history({ verbose: true }).pop();
+
+        if (lastMove) {
+                squares.push({ square: lastMove.from, color: 'Y', shape: 'fill' }, { square: lastMove.to, color: 'Y', shape: 'fill' });
+        }
+
+        if (game.in_check()) {
+                const king = game.SQUARES.find((square) => {
+                        const piece = game.get(square);
+                        return piece !== null && piece.type === 'k' && piece.color === game.turn();
+                });
+
+                squares.push({ square: king, color: 'R', shape: 'fill' });
+        }
+
+        setAnnotationLayer('moves', { squares: squares });
+        redrawBoardAnnotations();
+}
+
+/**
+ * Briefly highlight the squares of a rejected move in red
+ *
+ * @param {object} move - The chess.js move that was rejected
+ */
+function flashWrongMove(move) {
+        clearTimeout(wrongMoveTimer);
+
+        setAnnotationLayer('wrong', {
+                squares: [{ square: move.from, color: 'R', shape: 'fill' }, { square: move.to, color: 'R', shape: 'fill' }],
+        });
+        redrawBoardAnnotations();
+
+        wrongMoveTimer = setTimeout(() => {
+                setAnnotationLayer('wrong', {});
+                redrawBoardAnnotations();
+        }, wrongMoveFlashTime);
+}
+
+/**
+ * Add a line of text to the commentary panel
+ *
+ * @param {object} container - The JQuery element to add the line to
+ * @param {string} moveLabel - The move the comment belongs to (empty for the game comment)
+ * @param {string} text - The comment
+ */
+function addCommentaryEntry(container, moveLabel, text) {
+        const entry = $('<div>').addClass('commentary-entry');
+
+        if (moveLabel) {
+                entry.append($('<span>').addClass('commentary-move').text(moveLabel + ' '));
+        }
+
+        entry.append($('<span>').text(text));
+        container.append(entry);
+}
+
+/**
+ * Move the comments of the puzzle that was just completed to the "Previous puzzle" section
+ */
+function keepPreviousCommentary() {
+        const previous = $('#commentary_previous');
+        previous.empty();
+
+        if ($('#commentary_current').children().length > 0) {
+                previous.append($('<div>').addClass('commentary-heading').text('Previous puzzle'));
+                previous.append($('#commentary_current').children().clone());
+        }
+
+        $('#commentary_current').empty();
+        setCommentaryVisibility();
+}
+
+/**
+ * Remove all the comments from the commentary panel
+ */
+function clearCommentary() {
+        $('#commentary_mistake').empty();
+        $('#commentary_current').empty();
+        $('#commentary_previous').empty();
+        setCommentaryVisibility();
+}
+
+/**
+ * Only show the commentary panel when there is something in it
+ */
+function setCommentaryVisibility() {
+        const hasText = $('#commentary_mistake').children().length > 0 ||
+                $('#commentary_current').children().length > 0 ||
+                $('#commentary_previous').children().length > 0;
+        $('#commentary').css('display', hasText ? 'block' : 'none');
+}
+
+/**
+ * Clear all the on-screen messages
+ */
+function clearMessages() {
+
+        for (var messageelement of messagelist) {
+                $(messageelement).text('');
+        }
+}
+
+/**
+ * Indicate who's turn it is to move
+ */
+function indicateMove() {
+        $('#moveturn').text('White to move');
+
+        if (game.turn() === 'b') {
+                $('#moveturn').text('Black to move');
+        }
+
+        // The pieces can't be seen in blindfold mode so give the last move as well
+        const lastMove = game.history().pop();
+        if (isBlindfolded() && lastMove) {
+                $('#moveturn').text(`Last move: ${formatMoveNumber(currentPuzzle.FEN, game.history().length - 1, lastMove)} - ${$('#moveturn').text()}`);
+        }
+}
+
+/**
+ * Attempt to add the chosen move to the current game
+ *
+ * @param {chess} game - The current chess.js object
+ * @param {object} cfg - The configuration of the current move (from, to, promotion)
+ * @returns {string}
+ */
+function makeMove(game, cfg) {
+        // see if the move is legal
+        const move = game.move(cfg);
+
+        // illegal move
+        if (move === null) {
+                return 'snapback';
+        }
+}
+
+/**
+ * Handle when a user presses the "pause" button
+ */
+function pauseGame() {
+        // Start a new counter (to then subtract from overall total)
+        //$(window).trigger('resize');
+        switch (pauseflag) {
+        case false:
+                $('#btn_pause_landscape').text('Resume');
+                $('#btn_pause_portrait').text('Resume');
+                pauseflag = true;
+                PauseStartDateTime = new Date();
+                clearSelection();
+
+                // The opponent's reply waits for the game to be resumed (replyPending stays set)
+                clearTimeout(replyTimer);
+
+                // hide the board
+                updateBlindfoldBoard();
+
+                // Remove focus on the pause/resume button
+                $('#btn_pause_landscape').blur();
+                $('#btn_pause_portrait').blur();
+
+                // Disable the Hint, Reset, Open PGN and Playlist buttons while paused
+                $('#btn_reset').prop('disabled', true);
+                $('#openPGN_button').prop('disabled', true);
+                $('#pastePGN_button').prop('disabled', true);
+                $('#playlist_button').prop('disabled', true);
+                $('#btn_hint_landscape').prop('disabled', true);
+                $('#btn_hint_portrait').prop('disabled', true);
+                $('#btn_peek_landscape').prop('disabled', true);
+                $('#btn_peek_portrait').prop('disabled', true);
+                break;
+
+        case true:
+                $('#btn_pause_landscape').text('Pause');
+                $('#btn_pause_portrait').text('Pause');
+                pauseflag = false;
+                PauseendDateTime = new Date();
+
+                // Keep running total of paused time
+                pauseDateTimeTotal += (PauseendDateTime - PauseStartDateTime);
+
+                // show the board (or the blank board in blindfold mode)
+                updateBlindfoldBoard();
+
+                // Play the opponent's reply that was due when the game was paused
+                if (replyPending) {
+                        replyTimer = setTimeout(playReply, replyDelay);
+                }
+
+                // Remove focus on the pause/resume button 
+                $('#btn_pause_landscape').blur();
+                $('#btn_pause_portrait').blur();
+
+                // Re-enable the Hint, Reset, Open PGN and Playlist buttons
+                $('#btn_reset').prop('disabled', false);
+                $('#openPGN_button').prop('disabled', false);
+                $('#pastePGN_button').prop('disabled', false);
+                $('#playlist_button').prop('disabled', false);
+                $('#btn_hint_landscape').prop('disabled', false);
+                $('#btn_hint_portrait').prop('disabled', false);
+                $('#btn_peek_landscape').prop('disabled', false);
+                $('#btn_peek_portrait').prop('disabled', false);
+                break;
+        }
+        $(window).trigger('resize');
+        changecolor();
+}
+
+/**
+ * Reset everything in order to start a new testing session
+ */
+function resetGame() {
+        // Stop any mode-specific timers
+        if (typeof stopModeTimer === 'function') {
+                stopModeTimer();
+        }
+
+        // Stop showing a refutation (or waiting to play a reply) if there is one in progress
+        stopRefutation();
+        stopReply();
+        stopSolution();
+        stopPeek();
+        hideReview();
+
+        // Stop the countdown of the current puzzle (if it has a time limit)
+        stopPuzzleTimer();
+
+        // Stop parsing the PGN file if one is still being loaded
+        stopPGNWorker();
+
+        // Reset the current game in memory
+        board = null;
+        blankBoard = null;
+        game = new Chess();
+        moveHistory = [];
+        puzzleset = [];
+        PGNFileName = '';
+        PGNValidationReport = [];
+        errorcount = 0;
+        missedPuzzles = [];
+        puzzleErrors = {};
+        puzzleRetries = {};
+        puzzlePeeks = {};
+        alternativeSolutions = [];
+        pauseDateTimeTotal = 0;
+        error = false;
+        setcomplete = false;
+        AnalysisLink = false;
+        selectedSquare = null;
+
+
+
+        puzzlecomplete = false;
+        pauseflag = false;
+        increment = 0;
+        PuzzleOrder = [];
+        sessionPuzzles = [];
+        puzzleFilters = [];
+        updateFilterSummary();
+        $('#puzzleRange').val('').removeClass('w3-pale-red');
+        playlistFiles = [];
+        libraryFiles = [];
+        fileStats = [];
+        setDisplayAndDisabled(['#playlistOrder'], 'none');
+        $('#blindfold').val('off');
+
+
+        // Create the boards
+        board = new Chessboard('myBoard', config);
+        blankBoard = new Chessboard('blankBoard', { pieceTheme: pieceThemePath });
+
+        // Resize the board to the current available space
+        $(window).trigger('resize');
+
+        // Set the counters back to zero
+        $('#puzzleNumber_landscape').text('0');
+        $('#puzzleNumber_portrait').text('0');
+        $('#puzzleNumbertotal_landscape').text('0');
+        $('#puzzleNumbertotal_portrait').text('0');
+
+        // Show Start button and hide "Pause" and "Restart" buttons
+        setDisplayAndDisabled(['#btn_starttest_landscape', '#btn_starttest_portrait'], 'block', true);
+        setDisplayAndDisabled(
+                ['#btn_pause_landscape', '#btn_pause_portrait',
+                        '#btn_restart_landscape', '#btn_restart_portrait'], 'none', false);
+
+        // Hide & disable the "Hint", "Peek" and "Show Results" buttons
+        setDisplayAndDisabled(
+                ['#btn_hint_landscape', '#btn_hint_portrait', '#btn_peek_landscape', '#btn_peek_portrait',
+                        '#btn_showresults'], 'none', true);
+
+        // Show the full board (in case the reset happened during a pause or in blindfold mode)
+        updateBlindfoldBoard();
+
+        // Reset the progress bar
+        $('#progressbar_landscape').width("0%");
+        $('#progressbar_landscape').text("0%");
+
+        $('#progressbar_portrait').width("0%");
+        $('#progressbar_portrait').text("0%");
+
+        // Disable options checkboxes
+        setCheckboxSelectability(false);
+
+        // Clear the checkboxes
+        for (var checkboxelement of checkboxlist) {
+                $(checkboxelement).prop('checked', false);
+        }
+
+        // Remove focus on the reset button
+        $('#btn_reset').blur();
+
+        // Clear any prior results/statistics
+        clearMessages();
+
+        // Clear the move indicator and the move entry box
+        $('#moveturn').text('');
+        $('#moveinput').val('').removeClass('w3-pale-red');
+
+        // Clear the PGN comments and board annotations
+        clearCommentary();
+        clearTimeout(wrongMoveTimer);
+        clearAnnotationLayers();
 
         // Reset mode state
         if (typeof resetModeState === 'function') {
@@ -845,15 +1515,23 @@ function showHint() {
                 return;
         }
 
-        // Change the text of the button to the correct move
-        $('#btn_hint_landscape').text(moveHistory[game.history().length]);
-        $('#btn_hint_portrait').text(moveHistory[game.history().length]);
+        // Wait until the refutation of a mistake has been taken back (or the opponent has replied, or the solution is shown)
+        if (refutationPlaying || replyPending || solutionPlaying || reviewing) {
+                return;
+        }
+
+        if (currentPuzzle.Hint && !puzzleHintShown) {
+                // Show the hint text of the puzzle (PGNTrainerHint) first, the move is given if the hint is used again
+                puzzleHintShown = true;
+                updateCommentary();
+        } else {
+                // Change the text of the button to the correct move
+                $('#btn_hint_landscape').text(moveHistory[game.history().length]);
+                $('#btn_hint_portrait').text(moveHistory[game.history().length]);
+        }
 
         // Set error flag for this puzzle since hint was used.
-        if (error === false) {
-                errorcount += 1;
-        }
-        error = true;
+        registerPuzzleError();
 
         // Handle hint usage in current game mode
         if (typeof handleHintUsed === 'function') {
@@ -873,6 +1551,19 @@ function startTest() {
                 return;
         }
 
+        // Only train on the puzzles within the range that match the filters (if any)
+        sessionPuzzles = getSelectedPuzzles();
+
+        if (sessionPuzzles === null) {
+                alert('The puzzle range can\'t be read. Enter puzzle numbers and ranges separated by commas (ie: 1-20, 35, 50-55).');
+                return;
+        }
+
+        if (sessionPuzzles.length === 0) {
+                alert('None of the puzzles match the current filters and range.');
+                return;
+        }
+
         // Reset mode state when starting
         if (typeof resetModeState === 'function') {
                 resetModeState();
@@ -888,6 +1579,10 @@ function startTest() {
                 ['#btn_pause_landscape', '#btn_pause_portrait',
                         '#btn_hint_landscape', '#btn_hint_portrait'], 'block', false);
 
+        // Show & enable the "Peek" buttons in blindfold mode
+        setDisplayAndDisabled(['#btn_peek_landscape', '#btn_peek_portrait'],
+                $('#blindfold').val() !== 'off' ? 'block' : 'none', false);
+
         // Disable changing options
         setCheckboxSelectability(false);
 
@@ -896,27 +1591,32 @@ function startTest() {
 
         // Load first puzzle and start counting for errors (for now...)
         errorcount = 0;
+        missedPuzzles = [];
+        puzzleErrors = {};
+        puzzleRetries = {};
+        puzzlePeeks = {};
+        alternativeSolutions = [];
 
         // Get current date/time
         startDateTime = new Date();
         pauseDateTimeTotal = 0;
         increment = 0;
 
-        // Neat bit here from https://www.freecodecamp.org/news/javascript-range-create-an-array-of-numbers-with-the-from-method/
-        const arrayRange = (start, stop, step) => Array.from(
-                { length: (stop - start) / step + 1 },
-                (value, index) => start + index * step,
-        );
-
         // Shuffle the set if the box is checked
-        if ($('#randomizeSet').is(':checked')) {
-                // Generate numbers between 1 and the number of puzzles in the PGN and then shuffle them
-                PuzzleOrder = shuffle(arrayRange(0, puzzleset.length - 1, 1));
+        if (playlistFiles.length > 1) {
+                // Play the files of a playlist one after the other or mixed together
+                PuzzleOrder = orderPlaylistPuzzles(puzzleset, sessionPuzzles, $('#playlistOrder').val(), $('#randomizeSet').is(':checked'));
+        } else if ($('#randomizeSet').is(':checked')) {
+                // Take the selected puzzles and then shuffle them
+                PuzzleOrder = shuffle(sessionPuzzles.slice());
         } else {
-                // Generate numbers between 1 and the number of puzzles in the PGN in order
-                PuzzleOrder = arrayRange(0, puzzleset.length - 1, 1);
+                // Take the selected puzzles in order
+                PuzzleOrder = sessionPuzzles.slice();
         }
 
+        $('#puzzleNumbertotal_landscape').text(sessionPuzzles.length);
+        $('#puzzleNumbertotal_portrait').text(sessionPuzzles.length);
+
         // Start mode-specific timer if applicable
         if (typeof startModeTimer === 'function') {
                 startModeTimer();
@@ -933,26 +1633,68 @@ function startTest() {
         }
 
         // Now just need to send the desired puzzle to the board.
-        loadPuzzle(puzzleset[PuzzleOrder[increment]]);
+        loadPuzzle(getCurrentSessionPuzzle());
 }
 
 /**
- * Shuffle contents of an array into random order
- *
- * Credit for this function goes to https://stackoverflow.com/questions/2450954/how-to-randomize-shuffle-a-javascript-array
+ * Get the puzzle at the current position of the run.  Game modes can supply their own puzzles (ie: the lines of Repertoire mode).
  *
- * @param {array} array - The array to be shuffled
- * @returns {array}
+ * @returns {object}
  */
-function shuffle(array) {
-        let currentIndex = array.length;
-        let randomIndex;
+function getCurrentSessionPuzzle() {
+        const modePuzzle = typeof getModePuzzle === 'function' ? getModePuzzle() : null;
 
-        // While there remain elements to shuffle.
-        while (currentIndex !== 0) {
-                // Pick a remaining element.
-                randomIndex = Math.floor(Math.random() * currentIndex);
-                currentIndex -= 1;
+        return modePuzzle || puzzleset[PuzzleOrder[increment]];
+}
+
+/**
+ * Show the Event tag of a puzzle above the board, along with the players (or the rating of a Lichess puzzle)
+ * and a link to a lichess analysis board for the puzzle if the option is on.  The tags are set as text
+ * since they come straight from the PGN file.
+ *
+ * @param {object} PGNPuzzle - The puzzle
+ */
+function showPuzzleName(PGNPuzzle) {
+        const name = $('<div>').append($('<span>').text(PGNPuzzle.Event || ''));
+
+        if ((PGNPuzzle.White && PGNPuzzle.Black) && (PGNPuzzle.White !== '?' && PGNPuzzle.Black !== '?')) {
+                name.append('<br><br>', $('<span>').text('White: ' + PGNPuzzle.White),
+                        '<br>', $('<span>').text('Black: ' + PGNPuzzle.Black));
+        }
+
+        if (PGNPuzzle.Rating) {
+                name.append('<br><br>', $('<span>').text('Rating: ' + PGNPuzzle.Rating));
+        }
+
+        // Output a link to a lichess analysis board for this puzzle if there is one (can extract FEN from there if needed)
+        if (AnalysisLink && PGNPuzzle.FEN) {
+                name.append('<br>', $('<center>').append($('<a>')
+                        .attr('href', 'https://lichess.org/analysis/' + PGNPuzzle.FEN.replace(/ /g, '_'))
+                        .attr('target', '_blank')
+                        .text('Analysis')));
+        }
+
+        $('#puzzlename_landscape').html(name.html());
+        $('#puzzlename_portrait').html(name.html());
+}
+
+/**
+ * Shuffle contents of an array into random order
+ *
+ * Credit for this function goes to https://stackoverflow.com/questions/2450954/how-to-randomize-shuffle-a-javascript-array
+ *
+ * @param {array} array - The array to be shuffled
+ * @returns {array}
+ */
+function shuffle(array) {
+        let currentIndex = array.length;
+        let randomIndex;
+
+        // While there remain elements to shuffle.
+        while (currentIndex !== 0) {
+                // Pick a remaining element.
+                randomIndex = Math.floor(Math.random() * currentIndex);
+                currentIndex -= 1;
 
                 // And swap it with the current element.
                 [array[currentIndex], array[randomIndex]] = [
@@ -982,12 +1724,22 @@ function updateProgressBar(partial_value, total_value) {
         $('#progressbar_portrait').text(progresspercent);
 }
 
+/**
+ * Get the number of moves played automatically to set up the current puzzle (ie: 1 for a Lichess puzzle)
+ *
+ * @returns {int}
+ */
+function getPuzzleStartPly() {
+        return (currentPuzzle && currentPuzzle.StartPly) || 0;
+}
+
 /**
  * Load the desired puzzle or position from the PGN to the screen
  *
  * @param {object} PGNPuzzle - The object representing a specific position and move sequence
+ * @param {boolean} isRetry - True when the same puzzle is played again after its solution was shown
  */
-function loadPuzzle(PGNPuzzle) {
+function loadPuzzle(PGNPuzzle, isRetry) {
         // Save progress when a new puzzle is loaded
         saveCurrentGameProgress();
 
@@ -995,30 +1747,34 @@ function loadPuzzle(PGNPuzzle) {
         $('#puzzleNumber_landscape').text(increment + 1);
         $('#puzzleNumber_portrait').text(increment + 1);
 
-        updateProgressBar(increment, puzzleset.length);
+        updateProgressBar(increment, PuzzleOrder.length);
 
-        // Set the error flag to false for this puzzle (ie: only count 1 error per puzzle)
-        error = false;
+        // Set the error flag to false for this puzzle (ie: only count 1 error per puzzle).
+        // A puzzle replayed after its solution was shown keeps its error.
+        if (!isRetry) {
+                error = false;
+        }
         puzzlecomplete = false;
-
-        // Notify game mode that a new puzzle is starting
-        if (typeof handlePuzzleStart === 'function') {
+        puzzleHintShown = false;
+        selectedSquare = null;
+        wrongAttempts = 0;
+        puzzleReplay = isRetry === true;
+        currentPuzzle = PGNPuzzle;
+
+        // Notify game mode that a new puzzle is starting (a replay is still the same puzzle)
+        if (!isRetry && typeof handlePuzzleStart === 'function') {
                 handlePuzzleStart();
         }
 
         // Load the board position into memory
-        game = new Chess(PGNPuzzle.FEN);
-
-        // Load the moves of the PGN into memory
-        PGNPuzzle.Moves.forEach(
-                (move) => game.move(move.notation.notation),
-        );
+        game = new Chess(PGNPuzzle.StartFEN || PGNPuzzle.FEN);
 
-        // Copy the move order from the PGN into memory
-        moveHistory = game.history();
+        // The tree of moves (main line plus any variations) is built when the PGN is loaded.
+        // Games saved by older versions only have the parsed moves, so build it for those.
+        moveTree = PGNPuzzle.Tree || buildMoveTree(PGNPuzzle.FEN, PGNPuzzle.Moves);
 
-        // Set the board position to the opening in the puzzle (ie: undo all steps in the PGN)
-        while (game.undo() !== null) { }
+        // Copy the main line move order from the PGN into memory
+        moveHistory = PGNPuzzle.SAN ? PGNPuzzle.SAN.slice() : getTreeMainline(moveTree);
 
         // Set the board to the beginning position of the puzzle
         updateBoard(false);
@@ -1027,8 +1783,8 @@ function loadPuzzle(PGNPuzzle) {
         // Default is white
         board.orientation('white');
 
-        // Flip the board if Black to play
-        if (game.turn() === 'b') {
+        // Flip the board if Black to play (once any setup moves are played) or if the puzzle is set to be played as Black
+        if (PGNPuzzle.Side ? PGNPuzzle.Side === 'b' : (game.turn() === 'b') !== (getPuzzleStartPly() % 2 === 1)) {
                 board.orientation('black');
         }
 
@@ -1039,31 +1795,268 @@ function loadPuzzle(PGNPuzzle) {
 
         if ($('#analysisboard').is(':checked')) { AnalysisLink = true; } else { AnalysisLink = false; }
 
-        // Output a link to a lichess analysis board for this puzzle if there is one (can extract FEN from there if needed)
-        if (PGNPuzzle.FEN) {
-                var lichessURL = '<A HREF="https://lichess.org/analysis/' + PGNPuzzle.FEN.replace(/ /g, "_") + '" target="_blank">Analysis</A>';
+        // Update the screen with the value of the PGN Event tag (if any)
+        showPuzzleName(PGNPuzzle);
 
-                if (AnalysisLink) {
-                        PGNPuzzle.Event = PGNPuzzle.Event + "<br><center>" + lichessURL;
-                }
 
+        // Play the moves that set up the puzzle (ie: the opponent's last move in a Lichess puzzle)
+        for (let ply = 0; ply < getPuzzleStartPly(); ply++) {
+                game.move(moveHistory[ply]);
         }
 
-        // Update the screen with the value of the PGN Event tag (if any)
-        $('#puzzlename_landscape').html(PGNPuzzle.Event);
-        $('#puzzlename_portrait').html(PGNPuzzle.Event);
-
+        // The user plays the side to move, unless the computer plays first
+        userSide = (game.turn() === 'w') !== isOppositeSidePuzzle() ? 'w' : 'b';
 
         // Play the first move if player is playing second and not both sides
-        if ($('#playoppositeside').is(':checked') && !$('#playbothsides').is(':checked')) {
-                game.move(moveHistory[0]);
+        if (isOppositeSidePuzzle() && !$('#playbothsides').is(':checked')) {
+                game.move(moveHistory[game.history().length]);
+        }
+
+        if (game.history().length > 0) {
                 updateBoard(true);
         }
 
         // Update the status of the game in memory with the new data
         indicateMove();
 
+        // Show the game comment (and the comment/annotations of the first move if the computer played it)
+        updateCommentary();
+        setAnnotationLayer('selection', {});
+        updatePGNAnnotations();
+
+        // Hide the pieces of the new puzzle in blindfold mode (once the board is turned the right way)
+        stopPeek();
+        updateBlindfoldBoard();
+
         changecolor();
+
+        // Start counting down if the puzzle has a time limit
+        startPuzzleTimer(PGNPuzzle.TimeLimit);
+}
+
+/**
+ * Check if the user plays the side that is not to move at the start of the current puzzle (ie: the computer plays first).
+ * The PGNTrainerSide tag of the puzzle takes precedence over the "Play opposite side" option.
+ *
+ * @returns {boolean}
+ */
+function isOppositeSidePuzzle() {
+        if (currentPuzzle && currentPuzzle.Side) {
+                const startFEN = currentPuzzle.StartFEN || currentPuzzle.FEN || new Chess().fen();
+                const firstToMove = (startFEN.split(' ')[1] === 'b') !== (getPuzzleStartPly() % 2 === 1) ? 'b' : 'w';
+
+                return currentPuzzle.Side !== firstToMove;
+        }
+
+        return $('#playoppositeside').is(':checked');
+}
+
+/**
+ * Start counting down the time allowed for the current puzzle (PGNTrainerTimeLimit)
+ *
+ * @param {int} seconds - The time limit in seconds (no countdown if not set)
+ */
+function startPuzzleTimer(seconds) {
+        stopPuzzleTimer();
+
+        if (!seconds) {
+                return;
+        }
+
+        puzzleTimeRemaining = seconds;
+        updatePuzzleTimerDisplay();
+
+        puzzleTimer = setInterval(() => {
+                // The clock stops while the game is paused
+                if (pauseflag) {
+                        return;
+                }
+
+                puzzleTimeRemaining -= 1;
+                updatePuzzleTimerDisplay();
+
+                if (puzzleTimeRemaining <= 0) {
+                        handlePuzzleTimeUp();
+                }
+        }, 1000);
+}
+
+/**
+ * Stop counting down the time allowed for the current puzzle and clear the countdown
+ */
+function stopPuzzleTimer() {
+        clearInterval(puzzleTimer);
+        puzzleTimer = null;
+
+        $('#puzzletimer_landscape, #puzzletimer_portrait').text('').removeClass('w3-text-red');
+}
+
+/**
+ * Show the time left for the current puzzle
+ */
+function updatePuzzleTimerDisplay() {
+        const timeLeft = new Date(Math.max(puzzleTimeRemaining, 0) * 1000).toISOString().slice(14, 19);
+
+        $('#puzzletimer_landscape, #puzzletimer_portrait').text(`Time left: ${timeLeft}`);
+}
+
+/**
+ * Count the current puzzle as missed once its time limit runs out.  The puzzle can still be finished.
+ */
+function handlePuzzleTimeUp() {
+        clearInterval(puzzleTimer);
+        puzzleTimer = null;
+
+        $('#puzzletimer_landscape, #puzzletimer_portrait').text('Time\'s up!').addClass('w3-text-red');
+
+        registerWrongMove();
+}
+
+
+
+// -----------------------
+// Puzzle review functions
+// -----------------------
+
+/**
+ * Show the review of the puzzle just finished: a move list that can be stepped through (with the
+ * arrow keys or by clicking on the moves) along with the comments, until "Next" is pressed
+ */
+function showReview() {
+        reviewing = true;
+        reviewMoves = game.history();
+
+        $('#review_continuation').text(getReviewContinuation());
+        $('#review').css('display', 'block');
+        $('#moveturn').text('');
+
+        // Show the pieces while going over the puzzle in blindfold mode
+        stopPeek();
+        updateBlindfoldBoard();
+        updateReviewMoveList();
+}
+
+/**
+ * Describe how the game in the PGN goes on past the moves that were trained (if it does), ie: when
+ * a variation was trained or when the file only has the start of a longer game (see the PlyCount tag)
+ *
+ * @returns {string}
+ */
+function getReviewContinuation() {
+        const mainline = getTreeMainline(moveTree);
+        const start = reviewMoves.findIndex((san, ply) => san !== mainline[ply]);
+        const parts = [];
+
+        // The trained line left the main line of the game (or stopped before its end)
+        if (start !== -1 && start < mainline.length) {
+                parts.push('In the game: ' + formatMoveLine(currentPuzzle.FEN, start, mainline.slice(start)));
+        }
+
+        // Files of famous games are often cut short of the end of the game (PlyCount counts from the initial position)
+        const tags = currentPuzzle.Tags || {};
+        const remaining = parseInt(getPGNTagText(tags.PlyCount || ''), 10) - mainline.length;
+
+        if (!currentPuzzle.FEN && remaining > 0) {
+                parts.push(`The game went on for another ${remaining} half moves` +
+                        (tags.Result ? ` (${getPGNTagText(tags.Result)}).` : '.'));
+        }
+
+        return parts.join(' ');
+}
+
+/**
+ * Show the position after a given move of the puzzle being reviewed, with the comments and annotations up to that move
+ *
+ * @param {int} ply - The number of moves played (0 for the starting position)
+ */
+function reviewGoTo(ply) {
+        if (!reviewing) {
+                return;
+        }
+
+        const target = Math.max(0, Math.min(ply, reviewMoves.length));
+
+        while (game.history().length > target) {
+                game.undo();
+        }
+        while (game.history().length < target) {
+                game.move(reviewMoves[game.history().length]);
+        }
+
+        updateBoard(true);
+        updateCommentary();
+        updatePGNAnnotations();
+        updateReviewMoveList();
+}
+
+/**
+ * Fill in the move list of the review, marking the move on the board and the moves that set up the puzzle
+ */
+function updateReviewMoveList() {
+        const list = $('#review_moves');
+        const ply = game.history().length;
+
+        list.empty();
+        reviewMoves.forEach((san, index) => {
+                const formatted = formatMoveNumber(currentPuzzle.FEN, index, san);
+
+                $('<span class="review-move">')
+                        .text((index === 0 || formatted.indexOf('...') === -1) ? formatted : san)
+                        .toggleClass('review-current', index === ply - 1)
+                        .toggleClass('w3-text-grey', index < getPuzzleStartPly())
+                        .on('click', () => reviewGoTo(index + 1))
+                        .appendTo(list);
+                list.append(' ');
+        });
+}
+
+/**
+ * Step through the puzzle being reviewed with the keyboard (arrow keys, Home and End) and move on with Enter
+ *
+ * @param {object} event - The keydown event
+ */
+function handleReviewKey(event) {
+        // Leave the keys alone while typing in a text field
+        if (!reviewing || pauseflag || $(event.target).closest('input, textarea, select').length > 0) {
+                return;
+        }
+
+        const ply = game.history().length;
+        const keys = {
+                ArrowLeft: () => reviewGoTo(ply - 1),
+                ArrowRight: () => reviewGoTo(ply + 1),
+                Home: () => reviewGoTo(0),
+                End: () => reviewGoTo(reviewMoves.length),
+                Enter: closeReview,
+        };
+
+        if (keys[event.key]) {
+                event.preventDefault();
+                keys[event.key]();
+        }
+}
+
+/**
+ * Close the review and move on to the next puzzle (or the results)
+ */
+function closeReview() {
+        if (!reviewing) {
+                return;
+        }
+
+        // Put the puzzle back to its final position so that its comments are kept as the previous puzzle's
+        reviewGoTo(reviewMoves.length);
+        hideReview();
+
+        moveOnFromPuzzle();
+}
+
+/**
+ * Hide the review without moving on
+ */
+function hideReview() {
+        reviewing = false;
+        $('#review').css('display', 'none');
 }
 
 
@@ -1088,247 +2081,1138 @@ function dragStart(source, piece, position, orientation) {
         return false;
     }
 
-    if (pauseflag) {
-        return false;
-    }
+    return isUserTurn();
+}
+
+/**
+ * Check if the user can play a move (by dragging, clicking or typing it)
+ *
+ * @returns {boolean}
+ */
+function isUserTurn() {
+    if (pauseflag || refutationPlaying || solutionPlaying || reviewing) {
+        return false;
+    }
+
+    // Prevent moves if it's not the correct side's turn or move
+    // (the moves that set up the puzzle don't count)
+    if (!$('#playbothsides').is(':checked')) {
+        const ply = game.history().length - getPuzzleStartPly();
+
+        if (!isOppositeSidePuzzle() && ply % 2 !== 0) {
+            return false;
+        }
+
+        if (isOppositeSidePuzzle() && ply % 2 === 0) {
+            return false;
+        }
+    }
+
+    if (game.history().length === moveHistory.length) {
+        return false;
+    }
+
+    return true;
+}
+
+
+/**
+ * Handle the end of moving a piece on the board
+ *
+ * @param {*} source - The source square from where the piece started
+ * @param {*} target - The target square to where the piece ended
+ * @returns {string}
+ */
+function dropPiece(source, target) {
+        // A piece put back on its own square was clicked (or tapped) rather than dragged
+        if (source === target) {
+                selectPiece(source);
+                return 'snapback';
+        }
+
+        clearSelection();
+
+        return playUserMove(source, target);
+}
+
+/**
+ * Play a move of the user (dragged, clicked or typed), asking for the piece to promote to if needed,
+ * and check it against the PGN
+ *
+ * @param {string} source - The square the piece moves from
+ * @param {string} target - The square the piece moves to
+ * @param {string} promotion - The piece to promote to (q, r, b or n) when already known (ie: typed moves)
+ * @returns {string} 'snapback' if the move is illegal
+ */
+function playUserMove(source, target, promotion) {
+        let move;
+
+        // is it a promotion?
+        const source_rank = source.substring(2, 1);
+        const target_rank = target.substring(2, 1);
+        const piece = game.get(source).type;
+
+        // First attempt at move
+        // see if the move is legal
+        moveCfg = {
+                from: source,
+                promotion: 'q',
+                to: target,
+        };
+
+        move = game.move(moveCfg);
+
+        if (move === null) {
+                return 'snapback';
+        }
+
+        game.undo(); // move is ok, now we can go ahead and check for promotion
+
+        if (promotion) {
+                moveCfg.promotion = promotion;
+        } else if (piece === 'p' && ((source_rank === '7' && target_rank === '8') || (source_rank === '2' && target_rank === '1'))) {
+                //promoting = true;
+
+                // Get the correct color pieces for the promotion popup
+                getPieces();
+
+                // Show the select piece promotion dialog screen
+                promotionDialog.dialog({
+                        close: onDialogClose,
+                        closeOnEscape: false,
+                        dialogClass: 'noTitleStuff',
+                        draggable: false,
+                        height: 50,
+                        modal: true,
+                        resizable: true,
+                        width: 184,
+                }).dialog('widget').position({
+                        of: $('#myBoard').is(':visible') ? $('#myBoard') : $('#blankBoard'),
+                        // my: 'center center',
+                        // at: 'center center',   //Maybe add code to position near the pawn being promoted?
+                });
+                // the actual move is made after the piece to promote to
+                // has been selected, in the stop event of the promotion piece selectable
+
+                return;
+        }
+
+        // No promotion to choose, go ahead and move
+        makeMove(game, moveCfg);
+
+        // Check if the move played is the expected one and play the next one if it was
+        checkAndPlayNext();
+
+        // Indicate the player to move
+        indicateMove();
+
+        // Clear the move indicator if everything is done
+        if (setcomplete && puzzlecomplete) {
+                $('#moveturn').text('');
+        }
+
+        // Clear the hint if used
+        $('#btn_hint_landscape').text('Hint');
+        $('#btn_hint_portrait').text('Hint');
+}
+
+/**
+ * Update the board position after the piece snap for castling, en passant, pawn promotion
+ */
+function snapEnd() {
+        // Update instantly if the puzzle is done
+        if (game.history().length === moveHistory.length) {
+                updateBoard(false);
+        } else {
+                updateBoard(true);
+        }
+}
+
+
+
+// ----------------------
+// Click-to-move functions
+// ----------------------
+
+/**
+ * Select a piece to move by clicking (or tapping) on it and show the squares it can move to.
+ * Only called for pieces that can be dragged (see dragStart).
+ *
+ * @param {string} square - The square of the piece
+ */
+function selectPiece(square) {
+        selectedSquare = square;
+
+        // The squares the piece can move to would give away the hidden pieces in blindfold mode
+        const targets = isBlindfolded() ? [] : game.moves({ square: square, verbose: true }).map((move) => move.to);
+
+        setAnnotationLayer('selection', {
+                squares: [{ square: square, color: 'G', shape: 'fill' }]
+                        .concat([...new Set(targets)].map((target) => ({ square: target, color: 'G', shape: 'dot' }))),
+        });
+        redrawBoardAnnotations();
+}
+
+/**
+ * Forget the selected piece (if any) and remove its highlighting
+ */
+function clearSelection() {
+        selectedSquare = null;
+
+        setAnnotationLayer('selection', {});
+        redrawBoardAnnotations();
+}
+
+/**
+ * Handle a click (or tap) on a square of the board that is not the start of a drag
+ * (ie: an empty square or a piece of the side not to move).  Moves the selected piece there if it can.
+ *
+ * @param {string} square - The square clicked
+ */
+function clickSquare(square) {
+        // Nothing to move, or the selected piece itself (already handled by dropPiece)
+        if (selectedSquare === null || square === selectedSquare) {
+                return;
+        }
+
+        const source = selectedSquare;
+        const isTarget = game.moves({ square: source, verbose: true }).some((move) => move.to === square);
+
+        clearSelection();
+
+        if (!isTarget || pauseflag || refutationPlaying) {
+                return;
+        }
+
+        playUserMove(source, square);
+
+        // The piece was not dragged there so show the move (and the reply) on the board.
+        // Promotions are shown once the piece is picked in the promotion dialog.
+        updateBoard(true);
+}
+
+
+
+// ----------------------------
+// Keyboard move entry functions
+// ----------------------------
+
+/**
+ * Tidy up a move typed by the user so that chess.js can read it
+ * (ie: '0-0' → 'O-O', 'e8=q' → 'e8=Q', 'e7e8q' → 'e7e8=Q')
+ *
+ * @param {string} text - The move as typed
+ * @returns {string}
+ */
+function normaliseTypedMove(text) {
+        return text.trim()
+                .replace(/^[0o]-[0o](-[0o])?/i, (castling) => castling.replace(/[0o]/gi, 'O'))
+                .replace(/([a-h][18])=?([qrbn])([+#!?]*)$/i, (move, square, piece, suffix) => `${square}=${piece.toUpperCase()}${suffix}`);
+}
+
+/**
+ * Play the move typed in the move entry box (SAN such as Qxe4+ or O-O, or UCI such as e2e4 or e7e8q)
+ */
+function playTypedMove() {
+        const input = $('#moveinput');
+        const text = input.val();
+
+        if (text.trim() === '' || !isUserTurn()) {
+                return;
+        }
+
+        // Check that the move can be read and is legal, then play it like a dragged piece
+        const move = game.move(normaliseTypedMove(text), { sloppy: true });
+
+        if (move === null) {
+                input.addClass('w3-pale-red');
+                return;
+        }
+
+        game.undo();
+        input.val('').removeClass('w3-pale-red');
+
+        // The sloppy parser reads a promotion typed without its piece (ie: b7b8) as a queen promotion,
+        // ask for the piece with the promotion dialog instead
+        const promotion = /[a-h][18]=?[qrbn]/i.test(text) ? move.promotion : undefined;
+
+        clearSelection();
+        playUserMove(move.from, move.to, promotion);
+        updateBoard(true);
+}
+
+
+
+// -------------------
+// Blindfold functions
+// -------------------
+
+/**
+ * Check if the pieces are hidden: blindfold mode is on and a puzzle is being played
+ * (the pieces are shown while peeking, while reviewing a puzzle and once the set is complete)
+ *
+ * @returns {boolean}
+ */
+function isBlindfolded() {
+        return $('#blindfold').val() !== 'off' && PuzzleOrder.length > 0 && !(setcomplete && puzzlecomplete) && !peeking && !reviewing;
+}
+
+/**
+ * Get the pieces left on the blank board in blindfold mode: none, or only the opponent's when just the user's pieces are hidden
+ *
+ * @returns {object} The position in chessboard.js format (ie: { e4: 'wP' })
+ */
+function getBlindfoldPosition() {
+        const position = {};
+
+        if ($('#blindfold').val() === 'own' && !$('#playbothsides').is(':checked')) {
+                game.SQUARES.forEach((square) => {
+                        const piece = game.get(square);
+
+                        if (piece !== null && piece.color !== userSide) {
+                                position[square] = piece.color + piece.type.toUpperCase();
+                        }
+                });
+        }
+
+        return position;
+}
+
+/**
+ * Show either the board or the blank board.  The blank board is empty while paused and stands in
+ * for the board in blindfold mode, with the squares, the annotations and whichever pieces are not hidden.
+ */
+function updateBlindfoldBoard() {
+        const blindfolded = isBlindfolded() && !pauseflag;
+        const hideBoard = blindfolded || pauseflag;
+
+        // Coordinates are only needed to play blindfold (not while paused)
+        $('#blankBoard').toggleClass('blindfold', blindfolded);
+
+        if (blankBoard.orientation() !== board.orientation()) {
+                blankBoard.orientation(board.orientation());
+                changecolor();
+        }
+
+        blankBoard.position(blindfolded ? getBlindfoldPosition() : {}, false);
+
+        // A board only gets its size once it is shown
+        if ($('#myBoard').css('display') !== (hideBoard ? 'none' : 'block')) {
+                $('#myBoard').css('display', hideBoard ? 'none' : 'block');
+                $('#blankBoard').css('display', hideBoard ? 'block' : 'none');
+                resizeBoards();
+        }
+
+        redrawBoardAnnotations();
+}
+
+/**
+ * Handle a click (or tap) on a square of the blank board in blindfold mode: pick up the hidden
+ * piece of the side to move on the square, or move the picked piece there (see clickSquare)
+ *
+ * @param {string} square - The square clicked
+ */
+function clickBlindfoldSquare(square) {
+        if (!isBlindfolded()) {
+                return;
+        }
+
+        const piece = game.get(square);
+
+        if (piece !== null && piece.color === game.turn() && isUserTurn()) {
+                selectPiece(square);
+                return;
+        }
+
+        clickSquare(square);
+}
+
+/**
+ * Show the pieces for a moment in blindfold mode.  Every peek is counted in the results.
+ */
+function peekPosition() {
+        if (!isBlindfolded() || pauseflag) {
+                return;
+        }
+
+        puzzlePeeks[PuzzleOrder[increment]] = (puzzlePeeks[PuzzleOrder[increment]] || 0) + 1;
+
+        clearSelection();
+        peeking = true;
+        updateBlindfoldBoard();
+
+        peekTimer = setTimeout(() => {
+                peeking = false;
+                updateBlindfoldBoard();
+        }, peekTime);
+}
+
+/**
+ * Stop peeking (if the pieces are being shown) without hiding them again
+ */
+function stopPeek() {
+        clearTimeout(peekTimer);
+        peeking = false;
+}
+
+
+// ------------------------
+// Pawn Promotion functions
+// ------------------------
+/**
+ * Get an individual piece image
+ *
+ * @param {chess} piece - A chess.js game piece
+ * @returns {*}
+ */
+function getImgSrc(piece) {
+        return pieceThemePath.replace('{piece}', game.turn() + piece.toLocaleUpperCase());
+}
+
+/**
+ * Populate the pawn promotion popup based on the color of the current player
+ */
+function getPieces() {
+        $('.promotion-piece-q').attr('src', getImgSrc('q'));
+        $('.promotion-piece-r').attr('src', getImgSrc('r'));
+        $('.promotion-piece-n').attr('src', getImgSrc('n'));
+        $('.promotion-piece-b').attr('src', getImgSrc('b'));
+}
+
+/**
+ * Set the promotion value in the move config and make the move
+ */
+function onDialogClose() {
+        moveCfg.promotion = promoteTo;
+        makeMove(game, moveCfg);
+        checkAndPlayNext();
+}
+
+
+
+// ---------------------
+// PGN related Functions
+// ---------------------
+
+/**
+ * Fetch the PGN file selected in the drop down and feed it to the PGN Parser
+ *
+ * @returns {Promise} Resolves once the file is loaded
+ */
+function loadPGNFile() { // eslint-disable-line no-unused-vars
+    resetGame();
+    
+    const selectedFile = document.getElementById('openPGN').value;
+    
+    if (selectedFile) {
+        libraryFiles = [selectedFile];
+
+        return fetch(selectedFile)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error('Network response was not ok');
+                }
+                return response.text();
+            })
+            .then(PGNFile => loadPGNData(PGNFile, selectedFile))
+            .catch(error => {
+                alert('Error loading PGN file: ' + error);
+                resetGame();
+            });
+    }
+
+    return Promise.resolve();
+}
+
+/**
+ * Populate the PGN file drop down from the PGN library of the server (GET /api/pgn).
+ * When the page is hosted on a plain static web server the list in index.html is kept as-is.
+ */
+function loadPGNLibrary() {
+    fetch('./api/pgn')
+        .then(response => {
+            if (!response.ok) {
+                throw new Error('No PGN library available');
+            }
+            return response.json();
+        })
+        .then(library => {
+            const select = $('#openPGN');
+            const selectedFile = select.val();
+            const collections = {};
+
+            // Keep the "Select a PGN file..." entry and replace the rest
+            select.children().slice(1).remove();
+
+            library.files.forEach(file => {
+                const option = $('<option>')
+                    .attr('value', file.path)
+                    .attr('title', file.events.map(event => `${event.name} (${event.count})`).join('\n'))
+                    .text(`${file.name.replace(/\.pgn$/i, '')} (${file.games})`);
+
+                // Files in subfolders are grouped by folder
+                if (file.collection === '') {
+                    select.append(option);
+                } else {
+                    if (!collections[file.collection]) {
+                        collections[file.collection] = $('<optgroup>').attr('label', file.collection);
+                        select.append(collections[file.collection]);
+                    }
+                    collections[file.collection].append(option);
+                }
+            });
+
+            // Keep the current selection (ie: a resumed game)
+            select.val(selectedFile);
+        })
+        .catch(() => {
+            // Static hosting, keep the list from index.html
+        });
+}
+
+/**
+ * Read a PGN file from the user's computer (file picker or drag & drop) and feed it to the PGN Parser
+ *
+ * @param {File} file - The file chosen by the user
+ */
+function loadLocalPGNFile(file) {
+    if (!file) {
+        return;
+    }
+
+    resetGame();
+
+    // The file is not one of the files in the drop down
+    $('#openPGN').val('');
+
+    const reader = new FileReader();
+
+    reader.onload = () => loadPGNData(reader.result, file.name);
+    reader.onerror = () => {
+        alert('Error loading PGN file: ' + reader.error);
+        resetGame();
+    };
+
+    reader.readAsText(file);
+}
+
+/**
+ * Parse the text of a PGN file and update/enable the controls
+ *
+ * @param {string} PGNFile - The text contents of the PGN file
+ * @param {string} name - The name (or path) of the file, used for the stats and spaced repetition progress
+ * @returns {Promise} Resolves once the file is loaded
+ */
+function loadPGNData(PGNFile, name) {
+    return parsePGN(PGNFile.trim(), detectPuzzleFormat(PGNFile, name))
+        .then(() => showLoadedSet(name))
+        .catch(err => {
+            alert('There is an issue with the PGN file. Error message is as follows:\n\n' + err
+                + '\n\nPuzzles loaded successfully before error: ' + puzzleset.length);
+            resetGame();
+        });
+}
+
+/**
+ * Update/enable the controls once a set of puzzles is loaded
+ *
+ * @param {string} name - The name of the set, used for the stats and spaced repetition progress
+ */
+function showLoadedSet(name) {
+    PGNFileName = name;
+
+    // The progress bar was showing the loading progress
+    updateProgressBar(0, 1);
+
+    // List any games that were skipped because they failed validation
+    if (PGNValidationReport.length > 0) {
+        showValidationReport();
+    }
+
+    if (puzzleset.length === 0) {
+        return;
+    }
+
+    $('#puzzleNumber_landscape').text('1');
+    $('#puzzleNumber_portrait').text('1');
+
+    $('#puzzleNumbertotal_landscape').text(puzzleset.length);
+    $('#puzzleNumbertotal_portrait').text(puzzleset.length);
+
+    setDisplayAndDisabled(['#btn_starttest_landscape', '#btn_starttest_portrait'], 'block', false);
+
+    // The order of the files only matters for playlists
+    setDisplayAndDisabled(['#playlistOrder'], playlistFiles.length > 1 ? 'block' : 'none');
+
+    setCheckboxSelectability(true);
+}
+
+/**
+ * Show the dialog for pasting PGN text
+ */
+function showPasteDialog() {
+        $('#paste-name').val('');
+        $('#paste-text').val('');
+        document.getElementById('paste-dialog').style.display = 'block';
+        $('#paste-text').focus();
+}
+
+/**
+ * Load the PGN text entered in the paste dialog
+ */
+function loadPastedPGN() { // eslint-disable-line no-unused-vars
+        const PGNText = $('#paste-text').val().trim();
+        const name = $('#paste-name').val().trim();
+
+        if (PGNText === '') {
+                return;
+        }
+
+        document.getElementById('paste-dialog').style.display = 'none';
+        loadPGNText(PGNText, name);
+}
+
+/**
+ * Load pasted PGN text as a temporary set (ie: not tied to any file)
+ *
+ * @param {string} PGNText - The PGN text to load. Can comprise of one or more games
+ * @param {string} name - The name of the set. A name is generated from the PGN if left blank
+ */
+function loadPGNText(PGNText, name) {
+        resetGame();
+
+        // The set is not one of the files in the drop down
+        $('#openPGN').val('');
+
+        loadPGNData(PGNText, name || getPastedSetName(PGNText));
+}
+
+/**
+ * Generate a name for a pasted set based on its first Event tag along with a short hash of the text
+ * so that different pastes get their own stats filename and spaced repetition progress
+ *
+ * @param {string} PGNText - The pasted PGN text
+ * @returns {string}
+ */
+function getPastedSetName(PGNText) {
+        const eventTag = PGNText.match(/\[Event "([^"]*)"\]/);
+        let label = 'Pasted PGN';
+
+        if (eventTag && eventTag[1] !== '' && eventTag[1] !== '?') {
+                label = eventTag[1];
+        }
+
+        // Simple string hash (djb2)
+        let hash = 5381;
+        for (let i = 0; i < PGNText.length; i++) {
+                hash = ((hash * 33) ^ PGNText.charCodeAt(i)) >>> 0;
+        }
+
+        return label + ' ' + hash.toString(36);
+}
+
+/**
+ * Load PGN text pasted anywhere in the app (outside of a text field) with Ctrl+V
+ *
+ * @param {ClipboardEvent} event - The paste event
+ */
+function handlePasteEvent(event) {
+        // Leave normal pasting into text fields alone
+        if ($(event.target).closest('input, textarea, select').length > 0) {
+                return;
+        }
+
+        if (pauseflag) {
+                return;
+        }
+
+        const PGNText = (event.originalEvent.clipboardData || window.clipboardData).getData('text').trim();
+
+        // Only react to something that looks like PGN (tags or numbered moves) or EPD
+        if (!/^\[|\d+\.\s*\S/.test(PGNText) && detectPuzzleFormat(PGNText) !== 'epd') {
+                return;
+        }
+
+        event.preventDefault();
+
+        if (puzzleset.length > 0 && !window.confirm('Replace the current set with the pasted PGN?')) {
+                return;
+        }
+
+        loadPGNText(PGNText);
+}
+
+/**
+ * Parse the text of a PGN file into the puzzle set.  The parsing is done in a web worker so that
+ * large files do not freeze the page, with the progress bar showing how far along it is.
+ *
+ * @param {string} PGNData - The PGN text data to parse. Can comprise of one or more games
+ * @param {string} format - The format of the text ('pgn', 'epd' or 'lichess')
+ * @returns {Promise} Resolves once every game has been parsed
+ */
+function parsePGN(PGNData, format) {
+        puzzleset = [];
+        PGNValidationReport = [];
+
+        return new Promise((resolve, reject) => {
+                let worker;
+                let received = false;
+
+                // Workers can't be created when index.html is opened straight from the file system
+                try {
+                        worker = new Worker('./assets/pgn-worker.js');
+                } catch (err) {
+                        parsePGNOnPage(PGNData, format);
+                        resolve();
+                        return;
+                }
+
+                PGNWorker = worker;
+
+                worker.onmessage = (event) => {
+                        const message = event.data;
+                        received = true;
+
+                        if (message.type === 'progress') {
+                                addParsedGames(message.puzzles, message.issues);
+                                updateProgressBar(message.parsed, message.total);
+                        } else if (message.type === 'done') {
+                                stopPGNWorker();
+                                resolve();
+                        } else {
+                                stopPGNWorker();
+                                reject(new Error(message.message));
+                        }
+                };
+
+                worker.onerror = (event) => {
+                        event.preventDefault();
+                        stopPGNWorker();
+
+                        if (received) {
+                                reject(new Error(event.message));
+                                return;
+                        }
+
+                        // The worker could not start (ie: its libraries failed to load), so parse on the page instead
+                        try {
+                                parsePGNOnPage(PGNData, format);
+                                resolve();
+                        } catch (err) {
+                                reject(err);
+                        }
+                };
+
+                worker.postMessage({ text: PGNData, format: format });
+        });
+}
+
+/**
+ * Parse the text of a PGN file into the puzzle set without a web worker
+ *
+ * @param {string} PGNData - The PGN text data to parse. Can comprise of one or more games
+ * @param {string} format - The format of the text ('pgn', 'epd' or 'lichess')
+ */
+function parsePGNOnPage(PGNData, format) {
+        const importer = getPuzzleImporter(format);
+        const results = importer.split(PGNData).map((PGNGame, index) => importer.parse(PGNGame, index));
+
+        addParsedGames(
+                results.filter((result) => result.puzzle).map((result) => result.puzzle),
+                results.filter((result) => result.issue).map((result) => result.issue),
+        );
+}
+
+/**
+ * Add a batch of parsed games to the puzzle set and the validation report
+ *
+ * @param {array} puzzles - The puzzles that passed validation
+ * @param {array} issues - The validation report entries of the games that were skipped
+ */
+function addParsedGames(puzzles, issues) {
+        puzzles.forEach(
+                (puzzle) => {
+                        // Set the options checkboxes if any of the special tags have a value of 1
+                        if (puzzle.Tags.PGNTrainerBothSides === '1') { $("#playbothsides").prop("checked", true); }
+                        if (puzzle.Tags.PGNTrainerOppositeSide === '1') { $("#playoppositeside").prop("checked", true); }
+                        if (puzzle.Tags.PGNTrainerRandomize === '1') { $("#randomizeSet").prop("checked", true); }
+                        if (puzzle.Tags.PGNTrainerFlipped === '1') { $("#flipped").prop("checked", true); }
+                        if (puzzle.Tags.PGNTrainerAnalysisLink === '1') { $("#analysisboard").prop("checked", true); }
+
+                        puzzleset.push(puzzle);
+                },
+        );
+
+        PGNValidationReport.push(...issues);
+
+        // Make sure that both "Play both sides" and "Play opposite side" are not selected (if yes, clear both)
+        confirmOnlyOneOption();
+
+        $('#puzzleNumbertotal_landscape').text(puzzleset.length);
+        $('#puzzleNumbertotal_portrait').text(puzzleset.length);
+}
+
+/**
+ * Stop parsing a PGN file (if one is being parsed)
+ */
+function stopPGNWorker() {
+        if (PGNWorker) {
+                PGNWorker.terminate();
+                PGNWorker = null;
+        }
+}
+
+/**
+ * Show the list of games that were skipped when loading the PGN
+ */
+function showValidationReport() {
+        const total = puzzleset.length + PGNValidationReport.length;
+        const tableBody = $('#validation-table tbody');
+
+        $('#validation-summary').text(`${puzzleset.length} of ${total} games loaded successfully. ` +
+                `The following ${PGNValidationReport.length} game(s) were skipped:`);
+
+        tableBody.empty();
+        PGNValidationReport.forEach(
+                (issue) => {
+                        tableBody.append($('<tr>')
+                                .append($('<td>').text(issue.game))
+                                .append($('<td>').text(issue.event))
+                                .append($('<td>').text(issue.reason)));
+                },
+        );
+
+        // Only offer to continue if there is something left to train on
+        $('#btn_validation_continue').css('display', puzzleset.length > 0 ? 'inline-block' : 'none');
 
-    
-        // Prevent piece dragging if it's not the correct side's turn or move
-        if (!$('#playbothsides').is(':checked')) {
-            if (!$('#playoppositeside').is(':checked') && game.history().length % 2 !== 0) {
-                return false;
-            }
+        document.getElementById('validation-dialog').style.display = 'block';
+}
 
-            if ($('#playoppositeside').is(':checked') && (game.history().length % 2 === 0 || game.history().length === 0)) {
-                return false;
-            }
-        }
+/**
+ * Close the validation report and either keep the valid puzzles or discard the whole file
+ *
+ * @param {boolean} keepValid - True to train on the valid puzzles, false to discard the file
+ */
+function closeValidationReport(keepValid) { // eslint-disable-line no-unused-vars
+        document.getElementById('validation-dialog').style.display = 'none';
 
-        if (game.history().length === moveHistory.length) {
-            return false;
+        if (!keepValid) {
+                resetGame();
         }
-    
-
-    return true;
 }
 
 
+
+// --------------------------
+// Playlist related functions
+// --------------------------
+
 /**
- * Handle the end of moving a piece on the board
- *
- * @param {*} source - The source square from where the piece started
- * @param {*} target - The target square to where the piece ended
- * @returns {string}
+ * Show the dialog for picking the files of a playlist from the PGN file drop down
  */
-function dropPiece(source, target) {
-        let move;
+function showPlaylistDialog() {
+        const list = $('#playlist-files');
 
-        // is it a promotion?
-        const source_rank = source.substring(2, 1);
-        const target_rank = target.substring(2, 1);
-        const piece = game.get(source).type;
+        list.empty();
+        $('#openPGN option').each(function () {
+                if (this.value === '') {
+                        return;
+                }
 
-        // First attempt at move
-        // see if the move is legal
-        moveCfg = {
-                from: source,
-                promotion: 'q',
-                to: target,
-        };
+                const group = $(this).parent('optgroup').attr('label');
+                const checkbox = $('<input class="w3-check" type="checkbox">').val(this.value);
 
-        move = game.move(moveCfg);
+                list.append($('<label>')
+                        .append(checkbox)
+                        .append(document.createTextNode(' ' + (group ? group + ' / ' : '') + $(this).text())))
+                        .append('<br>');
+        });
 
-        if (move === null) {
-                return 'snapback';
+        document.getElementById('playlist-dialog').style.display = 'block';
+}
+
+/**
+ * Load the files ticked in the playlist dialog as a single set
+ */
+function loadPlaylist() { // eslint-disable-line no-unused-vars
+        const files = $('#playlist-files input:checked').map(function () { return this.value; }).get();
+
+        if (files.length === 0) {
+                return;
         }
 
-        game.undo(); // move is ok, now we can go ahead and check for promotion
+        document.getElementById('playlist-dialog').style.display = 'none';
+        loadLibraryFiles(files);
+}
 
-        if (piece === 'p' && ((source_rank === '7' && target_rank === '8') || (source_rank === '2' && target_rank === '1'))) {
-                //promoting = true;
+/**
+ * Load one or more files of the PGN library as a single set
+ *
+ * @param {array} files - The paths of the files
+ * @returns {Promise} Resolves once the files are loaded
+ */
+function loadLibraryFiles(files) {
+        // A single file is loaded as usual
+        if (files.length === 1) {
+                $('#openPGN').val(files[0]);
+                return loadPGNFile();
+        }
 
-                // Get the correct color pieces for the promotion popup
-                getPieces();
+        resetGame();
 
-                // Show the select piece promotion dialog screen
-                promotionDialog.dialog({
-                        close: onDialogClose,
-                        closeOnEscape: false,
-                        dialogClass: 'noTitleStuff',
-                        draggable: false,
-                        height: 50,
-                        modal: true,
-                        resizable: true,
-                        width: 184,
-                }).dialog('widget').position({
-                        of: $('#myBoard'),
-                        // my: 'center center',
-                        // at: 'center center',   //Maybe add code to position near the pawn being promoted?
+        // The set is not one of the files in the drop down
+        $('#openPGN').val('');
+        libraryFiles = files;
+
+        return Promise.all(files.map((file) => fetch(file).then((response) => {
+                if (!response.ok) {
+                        throw new Error(`Network response was not ok (${file})`);
+                }
+                return response.text();
+        })))
+                .then((texts) => loadPlaylistData(files.map((file, index) => ({ name: file, text: texts[index] }))))
+                .catch((error) => {
+                        alert('Error loading PGN file: ' + error);
+                        resetGame();
                 });
-                // the actual move is made after the piece to promote to
-                // has been selected, in the stop event of the promotion piece selectable
+}
 
-                return;
-        }
+/**
+ * Read several files from the user's computer (file picker or drag & drop) as a single set
+ *
+ * @param {FileList} fileList - The files chosen by the user
+ */
+function loadLocalPlaylist(fileList) {
+        const files = Array.from(fileList);
 
-        // No promotion, go ahead and move
-        makeMove(game, moveCfg);
+        resetGame();
 
-        // Check if the move played is the expected one and play the next one if it was
-        checkAndPlayNext();
+        // The set is not one of the files in the drop down
+        $('#openPGN').val('');
 
-        // Indicate the player to move
-        indicateMove();
+        Promise.all(files.map((file) => new Promise((resolve, reject) => {
+                const reader = new FileReader();
 
-        // Clear the move indicator if everything is done
-        if (setcomplete && puzzlecomplete) {
-                $('#moveturn').text('');
-        }
+                reader.onload = () => resolve({ name: file.name, text: reader.result });
+                reader.onerror = () => reject(reader.error);
 
-        // Clear the hint if used
-        $('#btn_hint_landscape').text('Hint');
-        $('#btn_hint_portrait').text('Hint');
+                reader.readAsText(file);
+        })))
+                .then(loadPlaylistData)
+                .catch((error) => {
+                        alert('Error loading PGN file: ' + error);
+                        resetGame();
+                });
 }
 
 /**
- * Update the board position after the piece snap for castling, en passant, pawn promotion
+ * Parse the files of a playlist one after the other and combine their puzzles into a single set
+ *
+ * @param {array} files - The name and text contents of every file
+ * @returns {Promise} Resolves once every file is loaded
  */
-function snapEnd() {
-        // Update instantly if the puzzle is done
-        if (game.history().length === moveHistory.length) {
-                updateBoard(false);
-        } else {
-                updateBoard(true);
-        }
+function loadPlaylistData(files) {
+        const combinedSet = [];
+        const combinedReport = [];
+        let currentFile = files[0].name;
+
+        return files.reduce((previous, file) => previous.then(() => {
+                currentFile = file.name;
+
+                return parsePGN(file.text.trim(), detectPuzzleFormat(file.text, file.name)).then(() => {
+                        // Remember where every puzzle comes from for the stats and spaced repetition progress
+                        puzzleset.forEach((puzzle, index) => {
+                                puzzle.SourceFile = file.name;
+                                puzzle.SourceIndex = puzzle.GameNumber ? puzzle.GameNumber - 1 : index;
+                                combinedSet.push(puzzle);
+                        });
+
+                        PGNValidationReport.forEach((issue) => {
+                                issue.event = getPuzzleFileLabel(file.name) + ': ' + issue.event;
+                                combinedReport.push(issue);
+                        });
+                });
+        }), Promise.resolve())
+                .then(() => {
+                        puzzleset = combinedSet;
+                        PGNValidationReport = combinedReport;
+                        playlistFiles = files.map((file) => file.name);
+
+                        showLoadedSet(getPlaylistName(playlistFiles));
+                })
+                .catch((err) => {
+                        alert(`There is an issue with the PGN file ${getPuzzleFileLabel(currentFile)}. Error message is as follows:\n\n` + err);
+                        resetGame();
+                });
 }
 
 
 
 // ------------------------
-// Pawn Promotion functions
+// Filter related functions
 // ------------------------
+
 /**
- * Get an individual piece image
- *
- * @param {chess} piece - A chess.js game piece
- * @returns {*}
+ * Show the dialog for filtering the loaded set by its tags
  */
-function getImgSrc(piece) {
-        return pieceThemePath.replace('{piece}', game.turn() + piece.toLocaleUpperCase());
+function showFilterDialog() { // eslint-disable-line no-unused-vars
+        const tagSelect = $('#filter-tag');
+
+        tagSelect.empty();
+        getPuzzleTagNames(puzzleset).forEach((tag) => tagSelect.append($('<option>').val(tag).text(tag)));
+
+        updateFilterInputs();
+        updateFilterList();
+
+        document.getElementById('filter-dialog').style.display = 'block';
 }
 
 /**
- * Populate the pawn promotion popup based on the color of the current player
+ * Close the filter dialog
  */
-function getPieces() {
-        $('.promotion-piece-q').attr('src', getImgSrc('q'));
-        $('.promotion-piece-r').attr('src', getImgSrc('r'));
-        $('.promotion-piece-n').attr('src', getImgSrc('n'));
-        $('.promotion-piece-b').attr('src', getImgSrc('b'));
+function closeFilterDialog() { // eslint-disable-line no-unused-vars
+        document.getElementById('filter-dialog').style.display = 'none';
 }
 
 /**
- * Set the promotion value in the move config and make the move
+ * Show the inputs that fit the selected tag (a date range or a value with suggestions from the set)
  */
-function onDialogClose() {
-        moveCfg.promotion = promoteTo;
-        makeMove(game, moveCfg);
-        checkAndPlayNext();
-}
+function updateFilterInputs() {
+        const tag = $('#filter-tag').val();
+        const suggestions = $('#filter-values');
 
+        $('#filter-value').val('');
+        $('#filter-from').val('');
+        $('#filter-to').val('');
 
+        $('#filter-value-inputs').css('display', isDateTag(tag || '') ? 'none' : 'inline');
+        $('#filter-date-inputs').css('display', isDateTag(tag || '') ? 'inline' : 'none');
 
-// ---------------------
-// PGN related Functions
-// ---------------------
+        suggestions.empty();
+        if (tag) {
+                getPuzzleTagValues(puzzleset, tag).forEach((value) => suggestions.append($('<option>').val(value)));
+        }
+}
 
 /**
- * Feed the PGN file provided by the user here to the PGN Parser and update/enable the controls
+ * Add a filter from the values entered in the filter dialog
  */
-function loadPGNFile() { // eslint-disable-line no-unused-vars
-    resetGame();
-    
-    const selectedFile = document.getElementById('openPGN').value;
-    
-    if (selectedFile) {
-        fetch(selectedFile)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error('Network response was not ok');
-                }
-                return response.text();
-            })
-            .then(PGNFile => {
-                try {
-                    parsePGN(PGNFile.trim());
+function addPuzzleFilter() { // eslint-disable-line no-unused-vars
+        const tag = $('#filter-tag').val();
 
-                    $('#puzzleNumber_landscape').text('1');
-                    $('#puzzleNumber_portrait').text('1');
+        if (!tag) {
+                return;
+        }
 
-                    $('#puzzleNumbertotal_landscape').text(puzzleset.length);
-                    $('#puzzleNumbertotal_portrait').text(puzzleset.length);
+        if (isDateTag(tag)) {
+                const from = $('#filter-from').val().trim();
+                const to = $('#filter-to').val().trim();
 
-                    setDisplayAndDisabled(['#btn_starttest_landscape', '#btn_starttest_portrait'], 'block', false);
+                if (from === '' && to === '') {
+                        return;
                 }
-                catch (err) {
-                    alert('There is an issue with the PGN file. Error message is as follows:\n\n' + err
-                        + '\n\nPuzzles loaded successfully before error: ' + puzzleset.length);
-                    resetGame();
+
+                puzzleFilters.push({ tag: tag, from: from, to: to });
+        } else {
+                const value = $('#filter-value').val().trim();
+
+                if (value.replace(/,/g, '').trim() === '') {
+                        return;
                 }
-            })
-            .catch(error => {
-                alert('Error loading PGN file: ' + error);
-                resetGame();
-            });
 
-        setCheckboxSelectability(true);
-    }
+                puzzleFilters.push({ tag: tag, value: value });
+        }
+
+        updateFilterInputs();
+        updateFilterList();
 }
 
 /**
- * PGN file parser
+ * Remove one of the filters
  *
- * @param {string} PGNData - The PGN text data to parse. Can comprise of one or more games
+ * @param {int} index - The position of the filter in the list
  */
-function parsePGN(PGNData) {
-        const splitGames = (string) => PgnParser.split(string, { startRule: 'games' });
-        const games = splitGames(PGNData);
+function removePuzzleFilter(index) {
+        puzzleFilters.splice(index, 1);
+        updateFilterList();
+}
 
-        puzzleset = [];
+/**
+ * Remove every filter so that the whole set is used again
+ */
+function clearPuzzleFilters() { // eslint-disable-line no-unused-vars
+        puzzleFilters = [];
+        updateFilterList();
+}
 
-        games.forEach(
-                (game) => {
-                        const { tags } = PgnParser.parse(game.tags, { startRule: 'tags' });
-                        const { moves } = PgnParser.parse(game.pgn, { startRule: 'game' });
+/**
+ * Show the active filters and how many puzzles match them
+ */
+function updateFilterList() {
+        const list = $('#filter-list');
+
+        list.empty();
+        puzzleFilters.forEach(
+                (filter, index) => {
+                        list.append($('<li>')
+                                .text(describeFilter(filter))
+                                .append($('<span>')
+                                        .addClass('w3-button w3-right w3-small')
+                                        .html('&times;')
+                                        .on('click', () => removePuzzleFilter(index))));
+                },
+        );
 
-                        // Set the options checkboxes if any of the special tags have a value of 1
-                        if (tags.PGNTrainerBothSides === '1') { $("#playbothsides").prop("checked", true); }
-                        if (tags.PGNTrainerOppositeSide === '1') { $("#playoppositeside").prop("checked", true); }
-                        if (tags.PGNTrainerRandomize === '1') { $("#randomizeSet").prop("checked", true); }
-                        if (tags.PGNTrainerFlipped === '1') { $("#flipped").prop("checked", true); }
-                        if (tags.PGNTrainerAnalysisLink === '1') { $("#analysisboard").prop("checked", true); }
+        updateFilterSummary();
+        updateSelectionCount();
+}
 
-                        // Make sure that both "Play both sides" and "Play opposite side" are not selected (if yes, clear both)
-                        confirmOnlyOneOption();
+/**
+ * Get the puzzles selected for the next run: the puzzles within the range (if any) that match the filters (if any)
+ *
+ * @returns {array|null} The index (in puzzleset) of every selected puzzle, or null if the range can't be read
+ */
+function getSelectedPuzzles() {
+        const ranges = parsePuzzleRange($('#puzzleRange').val());
 
-                        const puzzle = {};
-                        puzzle.Event = (tags.Event);
-                        puzzle.Series = (tags.Event);
+        if (ranges === null) {
+                return null;
+        }
 
-                        puzzle.White = (tags.White);
-                        puzzle.Black = (tags.Black);
+        // Ranges use the number of the game in the file (sets saved by older versions don't have it)
+        return getFilteredPuzzleIndexes(puzzleset, puzzleFilters)
+                .filter((index) => isPuzzleInRange(puzzleset[index].GameNumber || index + 1, ranges));
+}
 
-                        if ((puzzle.White && puzzle.Black) && (puzzle.White !== '?' && puzzle.Black !== '?')) {
-                                puzzle.Event = puzzle.Event + '<br><br>White: ' + puzzle.White + '<br>Black: ' + puzzle.Black;
-                        }
+/**
+ * Show how many puzzles the next run will have
+ */
+function updateSelectionCount() {
+        const selected = getSelectedPuzzles();
 
-                        puzzle.FEN = (tags.FEN);
-                        puzzle.PGN = (game.pgn);
-                        puzzle.Moves = moves;
+        // Flag a range that can't be read
+        $('#puzzleRange').toggleClass('w3-pale-red', selected === null);
 
-                        puzzleset.push(puzzle);
-                },
-        );
+        if (selected === null) {
+                return;
+        }
+
+        $('#filter-count').text(`${selected.length} of ${puzzleset.length} puzzles selected`);
+
+        $('#puzzleNumbertotal_landscape').text(selected.length);
+        $('#puzzleNumbertotal_portrait').text(selected.length);
+}
+
+/**
+ * Show a short summary of the filters in the sidebar
+ */
+function updateFilterSummary() {
+        if (puzzleFilters.length === 0) {
+                $('#filter_summary').text('');
+                return;
+        }
+
+        $('#filter_summary').text(puzzleFilters.map(describeFilter).join(', '));
 }
 
 
@@ -1342,9 +3226,9 @@ function parsePGN(PGNData) {
  */
 function outputStats2Clipboard() {
 
-        // Copy Tab-delimited version to clipboard for easy pasting to spreadsheets
+        // Copy Tab-delimited version to clipboard for easy pasting to spreadsheets (one row per file after the totals for playlists)
         navigator.clipboard.writeText(
-                Object.values(stats).join('\t')
+                [stats, ...fileStats].map((row) => Object.values(row).join('\t')).join('\n')
         );
 }
 
@@ -1355,7 +3239,7 @@ function outputStats2CSV() { // eslint-disable-line no-unused-vars
 
         // Adapted from https://stackoverflow.com/questions/61339206/how-to-export-data-to-csv-using-javascript
         let csvHeader = '';
-        let csvBody = Object.values(stats).join(',') + '\n';
+        let csvBody = [stats, ...fileStats].map((row) => Object.values(row).join(',') + '\n').join('');
         let datetimestamp = new Date().toISOString().replace(/[^0-9]/g, '').slice(0, -3);
         var hiddenElement = document.createElement('a');
 
@@ -1369,6 +3253,31 @@ function outputStats2CSV() { // eslint-disable-line no-unused-vars
 
 }
 
+/**
+ * Download the puzzles that had an error during this run as a PGN file
+ */
+function downloadMissedPuzzles() { // eslint-disable-line no-unused-vars
+
+        if (missedPuzzles.length === 0) {
+                return;
+        }
+
+        // Keep the puzzles in the order of the original file
+        const PGNText = missedPuzzles
+                .slice()
+                .sort((a, b) => a - b)
+                .map((index) => formatPuzzlePGN(puzzleset[index]))
+                .join('\n\n') + '\n';
+
+        var hiddenElement = document.createElement('a');
+
+        hiddenElement.href = 'data:application/x-chess-pgn;charset=utf-8,' + encodeURIComponent(PGNText);
+        hiddenElement.target = '_blank';
+        hiddenElement.download = (stats.filename || 'puzzles') + '_missed.pgn';
+        hiddenElement.click();
+
+}
+
 /**
  * Generate the statistics for this run
  */
@@ -1379,19 +3288,17 @@ function generateStats() {
         const endDateTime = new Date();
         const ElapsedTimeSeconds = (endDateTime - startDateTime - pauseDateTimeTotal) / 1000; // Subtracting the paused time from total elapsed time
         ElapsedTimehhmmss = new Date(ElapsedTimeSeconds * 1000).toISOString().slice(11, 19);
-        const AvgTimeSeconds = Math.round(ElapsedTimeSeconds / puzzleset.length);
-        AvgTimehhmmss = new Date(AvgTimeSeconds * 1000).toISOString().slice(11, 19);
-        ErrorRate = (errorcount / puzzleset.length);
 
-        // Get the filename of the PGN file
-        // Adapted from https://stackoverflow.com/questions/857618/javascript-how-to-extract-filename-from-a-file-input-control
-        var fullPath = document.getElementById('openPGN').value;
-        var startIndex = (fullPath.indexOf('\\') >= 0 ? fullPath.lastIndexOf('\\') : fullPath.lastIndexOf('/'));
-        var filename = fullPath.substring(startIndex);
+        // Repertoire mode plays lines built from the games rather than the games themselves
+        const isRepertoire = typeof getCurrentGameMode === 'function' && getCurrentGameMode() === 'repertoire';
+        const puzzlesPlayed = isRepertoire ? PuzzleOrder.length : sessionPuzzles.length;
 
-        if (filename.indexOf('\\') === 0 || filename.indexOf('/') === 0) { filename = filename.substring(1); }
+        const AvgTimeSeconds = Math.round(ElapsedTimeSeconds / puzzlesPlayed);
+        AvgTimehhmmss = new Date(AvgTimeSeconds * 1000).toISOString().slice(11, 19);
+        ErrorRate = (errorcount / puzzlesPlayed);
 
-        filename = filename.substring(0, filename.lastIndexOf('.'));
+        // Get the filename of the PGN file (without its folder and extension)
+        var filename = getPuzzleFileLabel(PGNFileName);
 
 
         // Get the mode (random or sequential)
@@ -1405,13 +3312,34 @@ function generateStats() {
         stats.date = (currentDate);
         stats.filename = filename;
         stats.round = '';
-        stats.series = puzzleset[0].Series;
+        stats.series = puzzleset[sessionPuzzles[0]].Series;
         stats.mode = mode;
-        stats.setlength = puzzleset.length;
+        stats.setlength = puzzlesPlayed;
         stats.errors = errorcount;
         stats.totaltime = ElapsedTimehhmmss;
         stats.avgtime = AvgTimehhmmss;
         stats.errorrate = ErrorRate;
+        stats.retries = Object.values(puzzleRetries).reduce((total, count) => total + count, 0);
+        stats.peeks = Object.values(puzzlePeeks).reduce((total, count) => total + count, 0);
+
+        // Break the results of a playlist down by file (the time is only known for the whole run)
+        fileStats = [];
+        if (playlistFiles.length > 1) {
+                fileStats = getPlaylistFileResults(puzzleset, sessionPuzzles, puzzleErrors, puzzleRetries, puzzlePeeks).map((result) => ({
+                        date: stats.date,
+                        filename: getPuzzleFileLabel(result.file),
+                        round: '',
+                        series: result.series,
+                        mode: stats.mode,
+                        setlength: result.puzzles,
+                        errors: result.errors,
+                        totaltime: '',
+                        avgtime: '',
+                        errorrate: result.errors / result.puzzles,
+                        retries: result.retries,
+                        peeks: result.peeks,
+                }));
+        }
 
 }
 
@@ -1429,8 +3357,8 @@ function showStats() {
         // Show & enable "Show Results" button
         setDisplayAndDisabled(['#btn_showresults'], 'block', false);
 
-        // Hide & disable the "hint" button
-        setDisplayAndDisabled(['#btn_hint_landscape', '#btn_hint_portrait'], 'none', true);
+        // Hide & disable the "hint" and "peek" buttons
+        setDisplayAndDisabled(['#btn_hint_landscape', '#btn_hint_portrait', '#btn_peek_landscape', '#btn_peek_portrait'], 'none', true);
 
         // Update the results modal with the details
         $('#messagecomplete').html('<h2>Set Complete</h2>');
@@ -1438,6 +3366,46 @@ function showStats() {
         $('#avgTime').text(`Average time/puzzle (hh:mm:ss): ${stats.avgtime}`);
         $('#errors').text(`Number of errors: ${stats.errors}`);
         $('#errorRate').text(`Error Rate: ${ErrorRate1Dec.toFixed(1)}%`);
+        $('#retries').text(stats.retries > 0 ? `Puzzles replayed after showing the solution: ${stats.retries}` : '');
+        $('#peeks').text(stats.peeks > 0 ? `Peeks at the position (blindfold): ${stats.peeks}` : '');
+
+        // Show the results of every file of a playlist
+        $('#fileStats').empty();
+        if (fileStats.length > 0) {
+                const table = $('<table class="w3-table w3-bordered">')
+                        .append('<tr><th>File</th><th>Puzzles</th><th>Errors</th><th>Error Rate</th></tr>');
+
+                fileStats.forEach((row) => {
+                        table.append($('<tr>')
+                                .append($('<td>').text(row.filename))
+                                .append($('<td>').text(row.setlength))
+                                .append($('<td>').text(row.errors))
+                                .append($('<td>').text(`${(row.errorrate * 100).toFixed(1)}%`)));
+                });
+
+                $('#fileStats').append(table);
+        }
+
+        // List the checkmates that were accepted instead of the ones in the PGN
+        $('#alternativeSolutions').empty();
+        if (alternativeSolutions.length > 0) {
+                const list = $('<ul class="w3-ul">');
+
+                alternativeSolutions.forEach((solution) => {
+                        const puzzle = puzzleset[solution.index];
+
+                        list.append($('<li>').text(`Puzzle ${puzzle.GameNumber || solution.index + 1} (${puzzle.Series}): ` +
+                                `${solution.played} instead of ${solution.expected}`));
+                });
+
+                $('#alternativeSolutions')
+                        .append($('<div>').text(`Alternative solutions: ${alternativeSolutions.length}`))
+                        .append(list);
+        }
+
+        // Only offer the missed puzzles download if there were any
+        setDisplayAndDisabled(['#btn_downloadmissed'], missedPuzzles.length > 0 ? 'block' : 'none');
+        $('#btn_downloadmissed').text(`Download missed puzzles (${missedPuzzles.length})`);
 
         // Display the modal
         showresults();
@@ -1461,7 +3429,50 @@ $(() => {
 
         // Buttons
         $('#openPGN_button').click(() => {
-                $('#openPGN').click();
+                $('#openPGNFile').click();
+        });
+
+        $('#openPGNFile').on('change', function () {
+                if (this.files.length > 1) {
+                        loadLocalPlaylist(this.files);
+                } else {
+                        loadLocalPGNFile(this.files[0]);
+                }
+
+                // Clear the value so that choosing the same file again still triggers a load
+                this.value = '';
+        });
+
+        $('#pastePGN_button').click(showPasteDialog);
+
+        $('#playlist_button').click(showPlaylistDialog);
+
+        // Allow PGN text to be pasted anywhere in the app
+        $(document).on('paste', handlePasteEvent);
+
+        // Allow a PGN file to be dropped onto the board
+        $('#myBoard').on('dragover', (event) => {
+                event.preventDefault();
+                if (!pauseflag) { $('#myBoard').addClass('pgn-dropzone'); }
+        });
+
+        $('#myBoard').on('dragleave', () => {
+                $('#myBoard').removeClass('pgn-dropzone');
+        });
+
+        $('#myBoard').on('drop', (event) => {
+                event.preventDefault();
+                $('#myBoard').removeClass('pgn-dropzone');
+
+                if (!pauseflag) {
+                        const files = event.originalEvent.dataTransfer.files;
+
+                        if (files.length > 1) {
+                                loadLocalPlaylist(files);
+                        } else {
+                                loadLocalPGNFile(files[0]);
+                        }
+                }
         });
 
         $('#btn_reset').on('click', resetGame);
@@ -1471,6 +3482,9 @@ $(() => {
         $('#btn_hint_landscape').on('click', showHint);
         $('#btn_hint_portrait').on('click', showHint);
 
+        $('#btn_peek_landscape').on('click', peekPosition);
+        $('#btn_peek_portrait').on('click', peekPosition);
+
         $('#btn_starttest_landscape').on('click', startTest);
         $('#btn_starttest_portrait').on('click', startTest);
 
@@ -1480,6 +3494,36 @@ $(() => {
         $('#btn_pause_landscape').on('click', pauseGame);
         $('#btn_pause_portrait').on('click', pauseGame);
 
+        // Play the typed move when Enter is pressed in the move entry box
+        $('#moveinput').on('keydown', (event) => {
+                if (event.key === 'Enter') {
+                        event.preventDefault();
+                        playTypedMove();
+                }
+        });
+
+        $('#moveinput').on('input', () => {
+                $('#moveinput').removeClass('w3-pale-red');
+        });
+
+        // Review of the finished puzzle
+        $('#btn_review_first').on('click', () => reviewGoTo(0));
+        $('#btn_review_previous').on('click', () => reviewGoTo(game.history().length - 1));
+        $('#btn_review_forward').on('click', () => reviewGoTo(game.history().length + 1));
+        $('#btn_review_last').on('click', () => reviewGoTo(reviewMoves.length));
+        $('#btn_review_next').on('click', closeReview);
+        $(document).on('keydown', handleReviewKey);
+
+        // Click-to-move: clicks on the pieces that can be moved go through dragStart/dropPiece
+        $('#myBoard').on('click', '.square-55d63', function () {
+                clickSquare($(this).attr('data-square'));
+        });
+
+        // In blindfold mode the moves are clicked on the blank board (it can't be dragged on)
+        $('#blankBoard').on('click', '.square-55d63', function () {
+                clickBlindfoldSquare($(this).attr('data-square'));
+        });
+
         $('#btn_test').on('click', changecolor);
 
         $('#promote-to').selectable({
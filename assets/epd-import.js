@@ -0,0 +1,146 @@
+/*
+ * EPD Import Module for Chess PGN Trainer
+ * Turns the records of an EPD (Extended Position Description) file, the format used by test suites
+ * such as WAC and Bratko-Kopec, into the same puzzles as pgn-import.js.
+ *
+ * A record is the first four fields of a FEN followed by operations, each ending with a semicolon:
+ *
+ *   2rr3k/pp3pp1/1nnqbN1p/3pN3/2pP4/2P3Q1/PPB4P/R4RK1 w - - bm Qg6; id "WAC.001";
+ *
+ * The operations used are:
+ *
+ *   bm    -- best moves, any of them solves the puzzle
+ *   am    -- moves to avoid, played as known mistakes.  With no bm, every other move solves the puzzle
+ *   id    -- the name of the puzzle
+ *   c0    -- comment shown with the puzzle
+ *   hmvc  -- half move clock of the FEN (0 if missing)
+ *   fmvn  -- full move number of the FEN (1 if missing)
+ */
+
+/**
+ * Check if a line of text looks like an EPD record (ie: starts with the first four fields of a FEN)
+ *
+ * @param {string} line - The line of text
+ * @returns {boolean}
+ */
+function isEPDRecord(line) {
+    return /^[1-8pnbrqkPNBRQK]+(\/[1-8pnbrqkPNBRQK]+){7} [wb] (-|[KQkq]+) (-|[a-h][36])(\s|$)/.test(line.trim());
+}
+
+/**
+ * Split the text of an EPD file into its records (one per non-empty line)
+ *
+ * @param {string} EPDData - The EPD text data to split
+ * @returns {array} The records
+ */
+function splitEPDRecords(EPDData) {
+    return EPDData.split(/\r?\n/).filter((line) => line.trim() !== '');
+}
+
+/**
+ * Split the operations of an EPD record into their opcodes and operands
+ *
+ * @param {string} text - The operations part of the record (ie: 'bm Qg6; id "WAC.001";')
+ * @returns {object} The operands of every opcode (ie: { bm: ['Qg6'], id: ['WAC.001'] })
+ */
+function parseEPDOperations(text) {
+    const operations = {};
+    const operationPattern = /([A-Za-z]\w*)((?:\s*(?:"[^"]*"|[^\s;"]+))*)\s*;/g;
+    const operandPattern = /"([^"]*)"|([^\s;"]+)/g;
+    let operation;
+
+    while ((operation = operationPattern.exec(text)) !== null) {
+        const operands = [];
+        let operand;
+
+        while ((operand = operandPattern.exec(operation[2])) !== null) {
+            operands.push(operand[1] !== undefined ? operand[1] : operand[2]);
+        }
+
+        operations[operation[1]] = operands;
+    }
+
+    return operations;
+}
+
+/**
+ * Parse, validate and precompute a single EPD record
+ *
+ * @param {string} record - The EPD record
+ * @param {int} index - The position of the record in the EPD file (starting from 0)
+ * @returns {object} Either { puzzle } or { issue } with the reason the record was skipped
+ */
+function parseEPDRecord(record, index) {
+    const fields = record.trim().match(/^(\S+\s+\S+\s+\S+\s+\S+)\s*(.*)$/);
+
+    if (!fields || !isEPDRecord(record)) {
+        return { issue: createValidationIssue(index, '', 'Not a valid EPD record') };
+    }
+
+    const operations = parseEPDOperations(fields[2]);
+    const name = (operations.id && operations.id[0]) || 'EPD position ' + (index + 1);
+    const halfMoveClock = (operations.hmvc && operations.hmvc[0]) || '0';
+    const moveNumber = (operations.fmvn && operations.fmvn[0]) || '1';
+    const FEN = fields[1].replace(/\s+/g, ' ') + ' ' + halfMoveClock + ' ' + moveNumber;
+
+    const fenCheck = new Chess().validate_fen(FEN);
+    if (!fenCheck.valid) {
+        return { issue: createValidationIssue(index, name, 'Invalid FEN: ' + fenCheck.error) };
+    }
+
+    const bestMoves = operations.bm || [];
+    const avoidMoves = operations.am || [];
+
+    if (bestMoves.length === 0 && avoidMoves.length === 0) {
+        return { issue: createValidationIssue(index, name, 'The position has no bm or am operation') };
+    }
+
+    const chess = new Chess(FEN);
+    const toSAN = (move) => {
+        const result = chess.move(move, { sloppy: true });
+        if (result === null) {
+            return null;
+        }
+        chess.undo();
+        return result.san;
+    };
+
+    const best = bestMoves.map(toSAN);
+    const avoid = avoidMoves.map(toSAN);
+
+    const illegalIndex = best.concat(avoid).indexOf(null);
+    if (illegalIndex !== -1) {
+        return { issue: createValidationIssue(index, name, 'Illegal move: ' + formatMoveNumber(FEN, 0, bestMoves.concat(avoidMoves)[illegalIndex])) };
+    }
+
+    // Without a best move, any move that is not one to avoid solves the puzzle
+    const solutions = best.length > 0 ? best : chess.moves().filter((san) => !avoid.includes(san));
+
+    if (solutions.length === 0) {
+        return { issue: createValidationIssue(index, name, 'Every legal move is marked as a move to avoid') };
+    }
+
+    // The solutions come first so that the main line (and the hint) is always a best move
+    const tree = { san: null, children: [] };
+    solutions.forEach((san) => getOrAddTreeChild(tree, san));
+    avoid.forEach((san) => {
+        const child = getOrAddTreeChild(tree, san);
+        child.nags = ['$2'];
+        child.comment = 'The test suite lists this as a move to avoid.';
+    });
+
+    const puzzle = {};
+    puzzle.Event = name;
+    puzzle.Series = name;
+    puzzle.FEN = FEN;
+    puzzle.Tags = { Event: name, SetUp: '1', FEN: FEN };
+    puzzle.GameNumber = index + 1;
+
+    if (operations.c0 && operations.c0[0]) { puzzle.Comment = operations.c0[0]; }
+
+    puzzle.StartFEN = chess.fen();
+    puzzle.Tree = tree;
+    puzzle.SAN = getTreeMainline(tree);
+
+    return { puzzle: puzzle };
+}
@@ -6,6 +6,8 @@
  * repetition-mode.js is no longer needed and should be deleted.
  *
  * Infinity Mode is now a full Spaced Repetition (SM-2) mode.
+ *
+ * Repertoire Mode drills the merged position tree of all the games (see repertoire.js).
  */
 
 // Game mode constants
@@ -16,7 +18,8 @@ const GAME_MODES = {
     HASTE:      'haste',
     COUNTDOWN:  'countdown',
     SPEEDRUN:   'speedrun',
-    INFINITY:   'infinity'
+    INFINITY:   'infinity',
+    REPERTOIRE: 'repertoire'
 };
 
 // Game mode configurations
@@ -60,6 +63,11 @@ const MODE_CONFIGS = {
         name: 'Spaced Repetition',
         description: 'Puzzles you struggle with appear more often. Progress is saved across sessions.',
         hasTimer: false, hasLives: false, hasHints: false, hasLevels: false
+    },
+    [GAME_MODES.REPERTOIRE]: {
+        name: 'Repertoire Mode',
+        description: 'Drill the opening tree of all the games, until every line is played correctly',
+        hasTimer: false, hasLives: false, hasHints: false, hasLevels: false
     }
 };
 
@@ -78,7 +86,8 @@ let modeState = {
     levelErrors:    0,
     totalSolved:    0,
     modeTimer:      null,
-    isActive:       false
+    isActive:       false,
+    sessionEnded:   false
 };
 
 // Repetition-mode tracking
@@ -91,10 +100,12 @@ let repetitionSetHadError   = false;
 // ═══════════════════════════════════════════════════════════════════════════
 //
 //  Each puzzle has a "card" stored in localStorage under the key
-//  'sr_cards_<pgnFile>'.  A card looks like:
+//  'sr_cards_<pgnFile>'.  The puzzles of a playlist (see playlist.js) keep
+//  their cards under the file they come from, so progress is shared with
+//  single-file sessions of that file.  A card looks like:
 //
 //    {
-//      index:       <number>   -- index into puzzleset[]
+//      index:       <number>   -- index into the file's puzzleset[]
 //      interval:    <days>     -- current review interval (starts 1)
 //      easeFactor:  <float>    -- SM-2 ease factor (starts 2.5, min 1.3)
 //      repetitions: <number>   -- consecutive correct solves
@@ -119,7 +130,7 @@ const SR_STORAGE_PREFIX  = 'sr_cards_';
 const SR_REINSERT_AFTER  = 4;   // reinsert failed card this many puzzles later
 
 let srCards                 = {};   // puzzleIndex → SM-2 card, persisted to localStorage
-let srCurrentPgnFile        = '';   // key suffix for localStorage
+let srStoredCards           = {};   // key suffix for localStorage → the cards stored for that file
 let srCurrentPuzzleHadError = false;// true if any wrong move on the current puzzle
 let srQueue                 = [];   // live ordered list of puzzle indices for this session
 // srQueue is the source of truth within a session; PuzzleOrder is kept in sync.
@@ -130,22 +141,56 @@ let srPendingRetry          = new Set();
 
 // ── Persistence ─────────────────────────────────────────────────────────────
 
-function srGetStorageKey() {
-    return SR_STORAGE_PREFIX + srCurrentPgnFile;
+function srGetStorageKey(pgnFile) {
+    return SR_STORAGE_PREFIX + pgnFile;
+}
+
+// The file a puzzle's card is stored under, and its index in that file.
+// The index is the position of the game in the file (skipped games included) so
+// the cards stay with their puzzles when invalid games are left out of the set.
+function srGetPuzzleFile(puzzleIndex) {
+    return (puzzleset[puzzleIndex].SourceFile || PGNFileName || 'default').replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+function srGetPuzzleFileIndex(puzzleIndex) {
+    const puzzle = puzzleset[puzzleIndex];
+    if (puzzle.GameNumber) return puzzle.GameNumber - 1;
+    return puzzle.SourceIndex !== undefined ? puzzle.SourceIndex : puzzleIndex;
 }
 
 function srLoadCards() {
-    const raw = localStorage.getItem(srGetStorageKey());
-    srCards = raw ? JSON.parse(raw) : {};
+    srCards       = {};
+    srStoredCards = {};
+
+    puzzleset.forEach((puzzle, i) => {
+        const pgnFile = srGetPuzzleFile(i);
+
+        if (!srStoredCards[pgnFile]) {
+            const raw = localStorage.getItem(srGetStorageKey(pgnFile));
+            srStoredCards[pgnFile] = raw ? JSON.parse(raw) : {};
+        }
+
+        const card = srStoredCards[pgnFile][srGetPuzzleFileIndex(i)];
+        if (card) srCards[i] = card;
+    });
 }
 
 function srSaveCards() {
-    localStorage.setItem(srGetStorageKey(), JSON.stringify(srCards));
+    for (const i of Object.keys(srCards)) {
+        srStoredCards[srGetPuzzleFile(i)][srGetPuzzleFileIndex(i)] = srCards[i];
+    }
+
+    for (const pgnFile of Object.keys(srStoredCards)) {
+        localStorage.setItem(srGetStorageKey(pgnFile), JSON.stringify(srStoredCards[pgnFile]));
+    }
 }
 
 function srClearCards() {
-    localStorage.removeItem(srGetStorageKey());
-    srCards = {};
+    for (const pgnFile of Object.keys(srStoredCards)) {
+        localStorage.removeItem(srGetStorageKey(pgnFile));
+    }
+    srCards       = {};
+    srStoredCards = {};
 }
 
 // ── Card initialisation ──────────────────────────────────────────────────────
@@ -153,7 +198,7 @@ function srClearCards() {
 function srGetCard(puzzleIndex) {
     if (!srCards[puzzleIndex]) {
         srCards[puzzleIndex] = {
-            index:       puzzleIndex,
+            index:       srGetPuzzleFileIndex(puzzleIndex),
             interval:    1,
             easeFactor:  2.5,
             repetitions: 0,
@@ -200,13 +245,13 @@ function srApplySM2(card, quality) {
 //  Builds the queue at session start from card history.
 //  Order: overdue (most overdue first) → new (never seen) → future (not yet due).
 
-function srBuildInitialQueue(totalPuzzles) {
+function srBuildInitialQueue(puzzleIndexes) {
     const now    = Date.now();
     const due    = [];
     const fresh  = [];
     const future = [];
 
-    for (let i = 0; i < totalPuzzles; i++) {
+    for (const i of puzzleIndexes) {
         const card = srCards[i];
         if (!card) {
             fresh.push(i);
@@ -230,12 +275,11 @@ function srBuildInitialQueue(totalPuzzles) {
 // ── Session initialisation ───────────────────────────────────────────────────
 
 function srInitSession() {
-    srCurrentPgnFile        = ($('#openPGN').val() || 'default').replace(/[^a-zA-Z0-9]/g, '_');
     srCurrentPuzzleHadError = false;
     srPendingRetry          = new Set();
     srLoadCards();
 
-    srQueue     = srBuildInitialQueue(puzzleset.length);
+    srQueue     = srBuildInitialQueue(sessionPuzzles);
     PuzzleOrder = srQueue;
     increment   = 0;
     srUpdateStatsDisplay();
@@ -310,7 +354,7 @@ function srAdvance() {
     // Reached the end of the queue. Check if there's anything left to do.
     const now       = Date.now();
     const hasPending = srPendingRetry.size > 0;
-    const hasDueOrNew = [...Array(puzzleset.length).keys()].some(i => {
+    const hasDueOrNew = sessionPuzzles.some(i => {
         if (srPendingRetry.has(i)) return false; // already counted
         const card = srCards[i];
         return !card || card.nextReview <= now;  // new or overdue
@@ -323,7 +367,7 @@ function srAdvance() {
 
     // There are still pending retries or due cards — rebuild queue and continue.
     const retryList = [...srPendingRetry];
-    const baseQueue = srBuildInitialQueue(puzzleset.length);
+    const baseQueue = srBuildInitialQueue(sessionPuzzles);
     const retrySet  = new Set(retryList);
     const remainder = baseQueue.filter(i => !retrySet.has(i));
 
@@ -355,7 +399,7 @@ function srUpdateStatsDisplay() {
     let learned  = 0;
     let newCount = 0;
 
-    for (let i = 0; i < puzzleset.length; i++) {
+    for (const i of sessionPuzzles) {
         if (srPendingRetry.has(i)) continue;  // already counted above
         const card = srCards[i];
         if (!card) {
@@ -376,6 +420,155 @@ function srUpdateStatsDisplay() {
     statsDiv.style.display = 'block';
 }
 
+// ---------------------------------------------------------------------------
+// ═══════════════════════════════════════════════════════════════════════════
+//  REPERTOIRE — Repertoire Mode
+// ═══════════════════════════════════════════════════════════════════════════
+//
+//  All the games of the session are merged into one tree of positions
+//  (repertoire.js).  Each "puzzle" is a line built when it is needed: the
+//  computer picks the opponent's replies at random from the branches that
+//  still have lines to learn, and any of the user's known moves is accepted.
+//
+//  A move of the user is learned once it is played without an error (or a
+//  hint) in that position during a line.  The session ends once every line
+//  of the repertoire is learned.  Progress is kept for the session only.
+//
+//  PuzzleOrder holds the index of the game each line ends in, so the missed
+//  puzzles download gives the games of the lines that had errors.
+// ---------------------------------------------------------------------------
+
+let repRepertoire    = null;        // the merged positions of the session's games
+let repSide          = 'w';         // the side played by the user
+let repLearnedMoves  = new Set();   // '<key> <san>' of every move of the user learned
+let repErrorKeys     = new Set();   // positions with an error (or hint) in the current line
+let repCurrentLine   = null;        // the puzzle of the line being played
+let repCache         = { puzzles: null, indexes: '', repertoire: null }; // the last repertoire built
+
+// ── Session initialisation ───────────────────────────────────────────────────
+
+function repInitSession() {
+    // Merging the games is slow for large files, so only do it again for another file or selection
+    const indexes = sessionPuzzles.join(',');
+    if (repCache.puzzles !== puzzleset || repCache.indexes !== indexes) {
+        repCache = { puzzles: puzzleset, indexes: indexes, repertoire: buildRepertoire(puzzleset, sessionPuzzles) };
+    }
+
+    repRepertoire   = repCache.repertoire;
+    repLearnedMoves = new Set();
+    repErrorKeys    = new Set();
+
+    // The side of the user: the PGNTrainerSide tag, otherwise the side to move
+    // in the starting position (or the other side with "Play opposite side")
+    const firstPuzzle = puzzleset[sessionPuzzles[0]];
+    const firstTurn   = repRepertoire.roots[0].split(' ')[1];
+    const opposite    = document.getElementById('playoppositeside');
+
+    if (firstPuzzle.Side) {
+        repSide = firstPuzzle.Side;
+    } else if (opposite && opposite.checked) {
+        repSide = firstTurn === 'w' ? 'b' : 'w';
+    } else {
+        repSide = firstTurn;
+    }
+
+    repNextLine();
+    PuzzleOrder = [repCurrentLine.Game];
+    increment   = 0;
+}
+
+function repNextLine() {
+    const line   = buildRepertoireLine(repRepertoire, repSide, repLearnedMoves);
+    const game   = puzzleset[line.Game];
+
+    line.Event  = game.Event;
+    line.Series = game.Series;
+    line.White  = game.White;
+    line.Black  = game.Black;
+    line.Tags   = {};
+
+    repCurrentLine = line;
+}
+
+function getModePuzzle() {
+    if (currentGameMode !== GAME_MODES.REPERTOIRE) return null;
+
+    // A resumed session starts the repertoire over
+    if (!repCurrentLine) repInitSession();
+    return repCurrentLine;
+}
+
+// ── Per-move hooks ───────────────────────────────────────────────────────────
+//  The nodes of a line carry the key of the position they lead to.
+
+function repOnPuzzleStart() {
+    repErrorKeys = new Set();
+    repUpdateStatsDisplay();
+}
+
+function repOnCorrectMove() {
+    const history = game.history();
+    const parent  = findTreeNode(moveTree, history.slice(0, -1));
+
+    if (parent && isRepertoireUserTurn(parent.key, repSide) && !repErrorKeys.has(parent.key)) {
+        repLearnedMoves.add(parent.key + ' ' + history[history.length - 1]);
+    }
+    repUpdateStatsDisplay();
+}
+
+function repOnError() {
+    // The wrong move (if any) is still on the board
+    const history = game.history();
+    const node    = findTreeNode(moveTree, game.turn() === repSide ? history : history.slice(0, -1));
+
+    if (!node) return;
+
+    repErrorKeys.add(node.key);
+    for (const learned of [...repLearnedMoves]) {
+        if (learned.startsWith(node.key + ' ')) repLearnedMoves.delete(learned);
+    }
+    repUpdateStatsDisplay();
+}
+
+// ── Line advance ─────────────────────────────────────────────────────────────
+//  Called by shouldContinueToNextPuzzle after every line.
+
+function repAdvance() {
+    const progress = countRepertoireProgress(repRepertoire, repSide, repLearnedMoves);
+
+    if (progress.learned === progress.total) return false;
+
+    repNextLine();
+    PuzzleOrder.push(repCurrentLine.Game);
+    return true;
+}
+
+// ── Stats display ─────────────────────────────────────────────────────────────
+
+function repUpdateStatsDisplay() {
+    let statsDiv = document.getElementById('rep-stats');
+    if (!statsDiv) {
+        statsDiv = document.createElement('div');
+        statsDiv.id = 'rep-stats';
+        statsDiv.className = 'w3-container w3-center w3-margin-bottom w3-small';
+        const landscapeDiv = document.querySelector('.landscapemode .w3-container.w3-center');
+        if (landscapeDiv) landscapeDiv.appendChild(statsDiv);
+    }
+
+    if (currentGameMode !== GAME_MODES.REPERTOIRE || !repRepertoire) {
+        statsDiv.style.display = 'none';
+        return;
+    }
+
+    const progress = countRepertoireProgress(repRepertoire, repSide, repLearnedMoves);
+
+    statsDiv.textContent = `✓ Lines learned: ${progress.learned} of ${progress.total}`;
+    statsDiv.style.display = 'block';
+
+    // The progress bar follows the lines learned rather than the lines played
+    if (typeof updateProgressBar === 'function') updateProgressBar(progress.learned, progress.total);
+}
+
 // ---------------------------------------------------------------------------
 // Initialisation
 // ---------------------------------------------------------------------------
@@ -430,12 +623,16 @@ function resetModeState() {
         levelErrors:    0,
         totalSolved:    0,
         modeTimer:      null,
-        isActive:       false
+        isActive:       false,
+        sessionEnded:   false
     };
 
     repetitionSetStartIndex = 0;
     repetitionSetHadError   = false;
 
+    repRepertoire  = null;
+    repCurrentLine = null;
+
     updateModeUI();
 }
 
@@ -450,6 +647,7 @@ function updateModeUI() {
     updateLevelDisplay();
     toggleModeElements(MODE_CONFIGS[currentGameMode]);
     srUpdateStatsDisplay();
+    repUpdateStatsDisplay();
 }
 
 function updateTimerDisplay() {
@@ -621,6 +819,10 @@ function handleTimeUp() {
 function handleCorrectMove() {
     if (currentGameMode === GAME_MODES.REPETITION) return;
     if (currentGameMode === GAME_MODES.INFINITY)   return;  // handled at puzzle level
+    if (currentGameMode === GAME_MODES.REPERTOIRE) {
+        repOnCorrectMove();
+        return;
+    }
 
     modeState.totalSolved++;
     if (currentGameMode === GAME_MODES.HASTE) {
@@ -638,6 +840,10 @@ function handleIncorrectMove() {
         srOnError();
         return;
     }
+    if (currentGameMode === GAME_MODES.REPERTOIRE) {
+        repOnError();
+        return;
+    }
     if (currentGameMode === GAME_MODES.THREE) {
         modeState.livesRemaining--;
         updateLivesDisplay();
@@ -670,6 +876,10 @@ function handleHintUsed() {
         // Treat hint as an error for spaced repetition scoring
         srOnError();
     }
+    if (currentGameMode === GAME_MODES.REPERTOIRE) {
+        // A move given by the hint still has to be learned
+        repOnError();
+    }
     if (MODE_CONFIGS[currentGameMode].hasHints) {
         modeState.hintsRemaining--;
         updateHintsDisplay();
@@ -691,6 +901,9 @@ function handlePuzzleStart() {
     if (currentGameMode === GAME_MODES.INFINITY) {
         srOnPuzzleStart();
     }
+    if (currentGameMode === GAME_MODES.REPERTOIRE) {
+        repOnPuzzleStart();
+    }
 }
 
 // ---------------------------------------------------------------------------
@@ -709,6 +922,16 @@ function shouldContinueToNextPuzzle() {
         return hasMore;
     }
 
+    if (currentGameMode === GAME_MODES.REPERTOIRE) {
+        const hasMore = repAdvance();
+        if (!hasMore) {
+            setTimeout(() => {
+                alert('Repertoire learned! Every line has been played correctly.');
+            }, 50);
+        }
+        return hasMore;
+    }
+
     if (currentGameMode === GAME_MODES.REPETITION) {
         const config = MODE_CONFIGS[GAME_MODES.REPETITION];
         const puzzlesCompletedInSet = (increment - repetitionSetStartIndex) + 1;
@@ -738,18 +961,21 @@ function shouldContinueToNextPuzzle() {
         }
     }
 
-    return increment + 1 < puzzleset.length;
+    return increment + 1 < PuzzleOrder.length;
 }
 
 // ---------------------------------------------------------------------------
 // Hook called by startTest() in chess-pgn-trainer.js
-// Allows Infinity mode to override PuzzleOrder before the first puzzle loads.
+// Allows Infinity and Repertoire modes to override PuzzleOrder before the first puzzle loads.
 // ---------------------------------------------------------------------------
 
 function onStartTest() {
     if (currentGameMode === GAME_MODES.INFINITY) {
         srInitSession();
     }
+    if (currentGameMode === GAME_MODES.REPERTOIRE) {
+        repInitSession();
+    }
 }
 
 // ---------------------------------------------------------------------------
@@ -757,7 +983,12 @@ function onStartTest() {
 // ---------------------------------------------------------------------------
 
 function endGameSession(message) {
+    modeState.sessionEnded = true;
     stopModeTimer();
+    if (typeof stopPuzzleTimer === 'function') stopPuzzleTimer();
+    if (typeof stopReply === 'function') stopReply();
+    if (typeof stopSolution === 'function') stopSolution();
+    if (typeof stopRefutation === 'function') stopRefutation();
     setTimeout(() => {
         alert(message);
         if (typeof showresults === 'function') showresults();
@@ -777,6 +1008,7 @@ function formatTime(seconds) {
 
 function getCurrentGameMode() { return currentGameMode; }
 function getModeState()       { return modeState; }
+function isGameSessionOver()  { return modeState.sessionEnded; }
 function isHintAvailable()    { return !MODE_CONFIGS[currentGameMode].hasHints || modeState.hintsRemaining > 0; }
 
 // ---------------------------------------------------------------------------
@@ -787,12 +1019,12 @@ if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
         GAME_MODES, MODE_CONFIGS,
         initializeGameModes, setGameMode,
-        getCurrentGameMode, getModeState,
+        getCurrentGameMode, getModeState, isGameSessionOver,
         startModeTimer, stopModeTimer,
         handleCorrectMove, handleIncorrectMove,
         handlePuzzleComplete, handlePuzzleStart, handleHintUsed,
         isHintAvailable, shouldContinueToNextPuzzle,
         onStartTest, resetModeState, updateModeUI,
-        srClearCards
+        getModePuzzle, srClearCards
     };
 }
@@ -0,0 +1,134 @@
+/*
+ * Lichess Puzzle Import Module for Chess PGN Trainer
+ * Turns the rows of the Lichess puzzle database (https://database.lichess.org/#puzzles), or any
+ * filtered slice of it, into the same puzzles as pgn-import.js.
+ *
+ * Each row has the columns:
+ *
+ *   PuzzleId,FEN,Moves,Rating,RatingDeviation,Popularity,NbPlays,Themes,GameUrl,OpeningTags
+ *
+ * The FEN is the position before the opponent's last move, which is the first of the UCI moves.
+ * That move is played automatically when the puzzle is loaded (StartPly) and the trainer starts
+ * from the move after it.  Rating and Themes are kept on the puzzle (and in its tags).
+ */
+
+const LICHESS_PUZZLE_COLUMNS = ['PuzzleId', 'FEN', 'Moves', 'Rating', 'RatingDeviation', 'Popularity',
+    'NbPlays', 'Themes', 'GameUrl', 'OpeningTags'];
+
+/**
+ * Split a row of CSV into its fields (fields can be quoted)
+ *
+ * @param {string} row - The row of CSV
+ * @returns {array} The fields
+ */
+function splitCSVRow(row) {
+    const fields = [];
+    const fieldPattern = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(,|$)/g;
+    let field;
+
+    while ((field = fieldPattern.exec(row)) !== null) {
+        fields.push(field[1] !== undefined ? field[1].replace(/""/g, '"') : field[2]);
+
+        if (field[3] === '') {
+            break;
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Check if a line of text looks like a row of the Lichess puzzle database (or its header)
+ *
+ * @param {string} line - The line of text
+ * @returns {boolean}
+ */
+function isLichessPuzzleRow(line) {
+    const fields = splitCSVRow(line.trim());
+
+    if (fields[0] === LICHESS_PUZZLE_COLUMNS[0] && fields[1] === LICHESS_PUZZLE_COLUMNS[1]) {
+        return true;
+    }
+
+    return fields.length >= 3 && isEPDRecord(fields[1]) && /^([a-h][1-8][a-h][1-8][qrbn]?\s*)+$/.test(fields[2]);
+}
+
+/**
+ * Split the text of a Lichess puzzle CSV file into its rows (leaving out the header row)
+ *
+ * @param {string} CSVData - The CSV text data to split
+ * @returns {array} The rows
+ */
+function splitLichessPuzzles(CSVData) {
+    return CSVData.split(/\r?\n/).filter((row) => row.trim() !== '' && !row.startsWith(LICHESS_PUZZLE_COLUMNS[0] + ','));
+}
+
+/**
+ * Parse, validate and precompute a single row of the Lichess puzzle database
+ *
+ * @param {string} row - The row of CSV
+ * @param {int} index - The position of the row in the file, not counting the header (starting from 0)
+ * @returns {object} Either { puzzle } or { issue } with the reason the row was skipped
+ */
+function parseLichessPuzzle(row, index) {
+    const columns = {};
+    splitCSVRow(row).forEach((value, column) => {
+        if (column < LICHESS_PUZZLE_COLUMNS.length) {
+            columns[LICHESS_PUZZLE_COLUMNS[column]] = value.trim();
+        }
+    });
+
+    const name = 'Lichess puzzle ' + (columns.PuzzleId || index + 1);
+
+    if (!columns.FEN || !columns.Moves) {
+        return { issue: createValidationIssue(index, name, 'Not a valid Lichess puzzle row') };
+    }
+
+    const fenCheck = new Chess().validate_fen(columns.FEN);
+    if (!fenCheck.valid) {
+        return { issue: createValidationIssue(index, name, 'Invalid FEN: ' + fenCheck.error) };
+    }
+
+    const chess = new Chess(columns.FEN);
+    const uciMoves = columns.Moves.split(/\s+/);
+
+    // The setup move plus at least one move to find
+    if (uciMoves.length < 2) {
+        return { issue: createValidationIssue(index, name, 'The puzzle has no moves to find') };
+    }
+
+    const tree = { san: null, children: [] };
+    let node = tree;
+
+    for (const [ply, uci] of uciMoves.entries()) {
+        const result = chess.move({ from: uci.substring(0, 2), to: uci.substring(2, 4), promotion: uci[4] });
+
+        if (result === null) {
+            return { issue: createValidationIssue(index, name, 'Illegal move: ' + formatMoveNumber(columns.FEN, ply, uci)) };
+        }
+
+        node = getOrAddTreeChild(node, result.san);
+    }
+
+    const puzzle = {};
+    puzzle.Event = name;
+    puzzle.Series = 'Lichess puzzles';
+    puzzle.FEN = columns.FEN;
+    puzzle.Rating = parseInt(columns.Rating, 10) || undefined;
+    puzzle.Themes = columns.Themes ? columns.Themes.split(/\s+/) : [];
+
+    puzzle.Tags = { Event: name, Site: columns.GameUrl || '?', SetUp: '1', FEN: columns.FEN };
+    ['PuzzleId', 'Rating', 'Themes', 'OpeningTags'].forEach((column) => {
+        if (columns[column]) {
+            puzzle.Tags[column] = columns[column];
+        }
+    });
+
+    puzzle.GameNumber = index + 1;
+    puzzle.StartFEN = new Chess(columns.FEN).fen();
+    puzzle.StartPly = 1;
+    puzzle.Tree = tree;
+    puzzle.SAN = getTreeMainline(tree);
+
+    return { puzzle: puzzle };
+}
@@ -0,0 +1,366 @@
+/*
+ * Move Tree Module for Chess PGN Trainer
+ * Builds a tree of moves from a parsed PGN game so that the main line and
+ * any recursive annotation variations (RAV) can be followed during a puzzle.
+ *
+ * A node looks like:
+ *
+ *   {
+ *     san:           <string>   -- the move in chess.js SAN (null for the root)
+ *     comment:       <string>   -- PGN comment after the move (if any)
+ *     commentBefore: <string>   -- PGN comment before the move (if any)
+ *     nags:          [<string>] -- Numeric Annotation Glyphs of the move (ie: '$2' for ?)
+ *     colorFields:   [<string>] -- [%csl] squares from the comment of the move (ie: 'Re5')
+ *     colorArrows:   [<string>] -- [%cal] arrows from the comment of the move (ie: 'Gd1h5')
+ *     children:      [<node>]   -- possible next moves, children[0] is the main line
+ *   }
+ */
+
+/* global Chess */
+
+// Numeric Annotation Glyphs that mark a move as a known mistake: $2 (?), $4 (??) and $6 (?!)
+const MISTAKE_NAGS = ['$2', '$4', '$6'];
+
+// Symbols for the move assessment glyphs
+const NAG_SYMBOLS = { $1: '!', $2: '?', $3: '!!', $4: '??', $5: '!?', $6: '?!' };
+
+/**
+ * Build the move tree for a single puzzle
+ *
+ * @param {string} FEN - The starting position of the puzzle (undefined for the normal start position)
+ * @param {array} moves - The moves array returned by PgnParser.parse for the game
+ * @returns {object} The root node of the tree
+ */
+function buildMoveTree(FEN, moves) {
+    const chess = FEN ? new Chess(FEN) : new Chess();
+    const root = { san: null, children: [] };
+
+    addTreeLine(chess, root, moves);
+
+    return root;
+}
+
+/**
+ * Add a line of moves (and recursively its variations) below the given node.
+ * The chess object is left in the same position it was given in.
+ *
+ * @param {chess} chess - A chess.js object set to the position of the node
+ * @param {object} node - The tree node the line starts from
+ * @param {array} moves - The parsed PGN moves of the line
+ */
+function addTreeLine(chess, node, moves) {
+    let played = 0;
+
+    for (const move of moves) {
+        const result = chess.move(move.notation.notation);
+
+        // Stop the line at the first move that cannot be played
+        if (result === null) {
+            break;
+        }
+
+        const child = getOrAddTreeChild(node, result.san);
+
+        // Keep the annotation text of the move (first occurrence wins when lines share a move)
+        if (!child.comment && move.commentAfter) { child.comment = move.commentAfter.trim(); }
+        if (!child.commentBefore && move.commentMove) { child.commentBefore = move.commentMove.trim(); }
+        if (!child.nags && move.nag) { child.nags = move.nag.slice(); }
+
+        if (move.commentDiag) {
+            if (!child.colorFields && move.commentDiag.colorFields) { child.colorFields = move.commentDiag.colorFields.slice(); }
+            if (!child.colorArrows && move.commentDiag.colorArrows) { child.colorArrows = move.commentDiag.colorArrows.slice(); }
+        }
+
+        // Variations are alternatives to this move, so they start from the position before it
+        if (move.variations && move.variations.length > 0) {
+            chess.undo();
+            move.variations.forEach((variation) => addTreeLine(chess, node, variation));
+            chess.move(result.san);
+        }
+
+        played += 1;
+        node = child;
+    }
+
+    // Put the position back to where the line started
+    for (; played > 0; played--) {
+        chess.undo();
+    }
+}
+
+/**
+ * Find the first move of a game (main line or variations) that cannot be played
+ *
+ * @param {string} FEN - The starting position of the puzzle (undefined for the normal start position)
+ * @param {array} moves - The moves array returned by PgnParser.parse for the game
+ * @returns {string|null} A description of the illegal move, or null if every move is legal
+ */
+function findIllegalMove(FEN, moves) {
+    const chess = FEN ? new Chess(FEN) : new Chess();
+
+    return findIllegalMoveInLine(chess, moves, false);
+}
+
+/**
+ * Check a line of moves (and recursively its variations) for a move that cannot be played.
+ * The chess object is left in the same position it was given in.
+ *
+ * @param {chess} chess - A chess.js object set to the position the line starts from
+ * @param {array} moves - The parsed PGN moves of the line
+ * @param {boolean} isVariation - True if the line is a variation rather than the main line
+ * @returns {string|null} A description of the illegal move, or null if every move is legal
+ */
+function findIllegalMoveInLine(chess, moves, isVariation) {
+    let played = 0;
+    let problem = null;
+
+    for (const move of moves) {
+        // Variations are alternatives to this move, so they start from the position before it
+        for (const variation of (move.variations || [])) {
+            problem = findIllegalMoveInLine(chess, variation, true);
+            if (problem) {
+                break;
+            }
+        }
+
+        if (problem) {
+            break;
+        }
+
+        if (chess.move(move.notation.notation) === null) {
+            problem = formatMoveNumber(chess.fen(), 0, move.notation.notation) + (isVariation ? ' (in a variation)' : '');
+            break;
+        }
+
+        played += 1;
+    }
+
+    // Put the position back to where the line started
+    for (; played > 0; played--) {
+        chess.undo();
+    }
+
+    return problem;
+}
+
+/**
+ * Return the child of a node for the given move, adding it if it does not exist yet
+ *
+ * @param {object} node - The parent node
+ * @param {string} san - The move in chess.js SAN
+ * @returns {object} The child node
+ */
+function getOrAddTreeChild(node, san) {
+    let child = node.children.find((x) => x.san === san);
+
+    if (!child) {
+        child = { san: san, children: [] };
+        node.children.push(child);
+    }
+
+    return child;
+}
+
+/**
+ * Get the list of nodes reached by following a list of moves (stops where the moves leave the tree)
+ *
+ * @param {object} root - The root node of the tree
+ * @param {array} sanList - The moves played so far (chess.js SAN, ie: game.history())
+ * @returns {array} The nodes of the moves, not including the root
+ */
+function getTreePath(root, sanList) {
+    const path = [];
+    let node = root;
+
+    for (const san of sanList) {
+        node = node.children.find((x) => x.san === san);
+        if (!node) {
+            break;
+        }
+        path.push(node);
+    }
+
+    return path;
+}
+
+/**
+ * Walk down the tree following a list of moves
+ *
+ * @param {object} root - The root node of the tree
+ * @param {array} sanList - The moves played so far (chess.js SAN, ie: game.history())
+ * @returns {object|null} The node reached, or null if the moves leave the tree
+ */
+function findTreeNode(root, sanList) {
+    let node = root;
+
+    for (const san of sanList) {
+        node = node.children.find((x) => x.san === san);
+        if (!node) {
+            return null;
+        }
+    }
+
+    return node;
+}
+
+/**
+ * Get the main line continuing from a node (always following the first child)
+ *
+ * @param {object} node - The node to start from
+ * @returns {array} The moves of the main line in chess.js SAN
+ */
+function getTreeMainline(node) {
+    const line = [];
+
+    while (node.children.length > 0) {
+        node = node.children[0];
+        line.push(node.san);
+    }
+
+    return line;
+}
+
+/**
+ * Check if the author of the PGN marked a move as a mistake (?, ?? or ?!)
+ *
+ * @param {object} node - The tree node of the move
+ * @returns {boolean}
+ */
+function isMistakeNode(node) {
+    return Array.isArray(node.nags) && node.nags.some((nag) => MISTAKE_NAGS.includes(nag));
+}
+
+/**
+ * Check if a move is a known mistake: a variation move marked as a mistake.  Main line moves are the
+ * moves of the game, so they are played as usual even when annotated with ?, ?? or ?!
+ *
+ * @param {object} parent - The tree node the move is played from
+ * @param {object} node - The tree node of the move
+ * @returns {boolean}
+ */
+function isKnownMistake(parent, node) {
+    return parent.children[0] !== node && isMistakeNode(node);
+}
+
+/**
+ * Find the move of a node that gives checkmate (moves marked as mistakes are left out)
+ *
+ * @param {object} node - The tree node whose moves are looked at
+ * @returns {object|null} The child node of the mating move, or null if none of the moves is mate
+ */
+function findMatingChild(node) {
+    return node.children.find((x) => x.san.endsWith('#') && !isMistakeNode(x)) || null;
+}
+
+/**
+ * Get the move assessment symbol of a move (ie: '?' for $2)
+ *
+ * @param {object} node - The tree node of the move
+ * @returns {string} The symbol, or an empty string if the move has no assessment
+ */
+function getNagSymbol(node) {
+    const nag = (node.nags || []).find((x) => NAG_SYMBOLS[x] !== undefined);
+    return nag ? NAG_SYMBOLS[nag] : '';
+}
+
+/**
+ * Format a move with its move number (ie: "12. Nf3" or "12... Nc6")
+ *
+ * @param {string} FEN - The starting position of the puzzle (undefined for the normal start position)
+ * @param {int} ply - The number of half moves played from the starting position before this move
+ * @param {string} san - The move in SAN
+ * @returns {string}
+ */
+function formatMoveNumber(FEN, ply, san) {
+    const fields = (FEN || '').split(' ');
+    const whiteToStart = fields[1] !== 'b';
+    const firstMoveNumber = parseInt(fields[5], 10) || 1;
+
+    // Count half moves as if the position always started with white to move
+    const halfMoves = ply + (whiteToStart ? 0 : 1);
+    const moveNumber = firstMoveNumber + Math.floor(halfMoves / 2);
+
+    return moveNumber + (halfMoves % 2 === 0 ? '. ' : '... ') + san;
+}
+
+/**
+ * Format a line of moves with move numbers (ie: "12... Nc6 13. Bb5 a6")
+ *
+ * @param {string} FEN - The starting position of the puzzle (undefined for the normal start position)
+ * @param {int} ply - The number of half moves played from the starting position before the first move of the line
+ * @param {array} sanList - The moves of the line in SAN
+ * @returns {string}
+ */
+function formatMoveLine(FEN, ply, sanList) {
+    return sanList.map((san, index) => {
+        const formatted = formatMoveNumber(FEN, ply + index, san);
+
+        // Only the first move of the line and white's moves need the number
+        return (index === 0 || formatted.indexOf('...') === -1) ? formatted : san;
+    }).join(' ');
+}
+
+/**
+ * Write a move tree back out as PGN movetext, with its variations, comments and NAGs (ie: "1. Re8# {Mate} (1. Ra8#)")
+ *
+ * @param {string} FEN - The starting position of the tree (undefined for the normal start position)
+ * @param {object} node - The node to start from (its own move is not included)
+ * @param {int} ply - The number of half moves played from the FEN to reach the node
+ * @returns {string}
+ */
+function formatMoveTreePGN(FEN, node, ply) {
+    const parts = [];
+    let needsNumber = true;
+
+    while (node.children.length > 0) {
+        const [mainline, ...alternatives] = node.children;
+
+        parts.push(formatTreeMovePGN(FEN, mainline, ply, needsNumber));
+
+        // Variations are alternatives to the main line move, so they start from the same position
+        alternatives.forEach((alternative) => {
+            const continuation = formatMoveTreePGN(FEN, alternative, ply + 1);
+            parts.push('(' + formatTreeMovePGN(FEN, alternative, ply, true) + (continuation ? ' ' + continuation : '') + ')');
+        });
+
+        // Black's move needs its number again after a variation or a comment
+        needsNumber = alternatives.length > 0 || Boolean(mainline.comment || mainline.colorFields || mainline.colorArrows);
+        node = mainline;
+        ply += 1;
+    }
+
+    return parts.join(' ');
+}
+
+/**
+ * Write a single move of a move tree as PGN, with its move number (if needed), NAGs and comments
+ *
+ * @param {string} FEN - The starting position of the tree (undefined for the normal start position)
+ * @param {object} node - The tree node of the move
+ * @param {int} ply - The number of half moves played from the FEN before this move
+ * @param {boolean} needsNumber - True to number the move even if it is black's
+ * @returns {string}
+ */
+function formatTreeMovePGN(FEN, node, ply, needsNumber) {
+    const numbered = formatMoveNumber(FEN, ply, node.san);
+    const parts = [];
+
+    if (node.commentBefore) {
+        parts.push('{' + node.commentBefore + '}');
+    }
+
+    parts.push((needsNumber || numbered.indexOf('...') === -1) ? numbered : node.san);
+    (node.nags || []).forEach((nag) => parts.push(nag));
+
+    // Put the square and arrow annotations back into the comment
+    const comment = [];
+    if (node.colorFields) { comment.push('[%csl ' + node.colorFields.join(',') + ']'); }
+    if (node.colorArrows) { comment.push('[%cal ' + node.colorArrows.join(',') + ']'); }
+    if (node.comment) { comment.push(node.comment); }
+
+    if (comment.length > 0) {
+        parts.push('{' + comment.join(' ') + '}');
+    }
+
+    return parts.join(' ');
+}
@@ -0,0 +1,81 @@
+/*
+ * PGN Export Module for Chess PGN Trainer
+ * Writes puzzles (from any of the supported formats) back out as PGN, ie: to save the puzzles
+ * missed during a run as a smaller file for the next round.
+ */
+
+// The Seven Tag Roster, which every exported game starts with
+const PGN_REQUIRED_TAGS = { Event: '?', Site: '?', Date: '????.??.??', Round: '?', White: '?', Black: '?', Result: '*' };
+
+/**
+ * Get the text value of a tag parsed by PgnParser (ie: Date and TimeControl are parsed into objects)
+ *
+ * @param {*} value - The parsed value of the tag
+ * @returns {string}
+ */
+function getPGNTagText(value) {
+    if (Array.isArray(value)) {
+        return value.map(getPGNTagText).join(':');
+    }
+
+    if (value !== null && typeof value === 'object') {
+        return String(value.value);
+    }
+
+    return String(value);
+}
+
+/**
+ * Write the tags of a game as PGN tag pairs, starting with the Seven Tag Roster
+ *
+ * @param {object} tags - The tags of the game
+ * @returns {string}
+ */
+function formatPGNTags(tags) {
+    const allTags = Object.assign({}, PGN_REQUIRED_TAGS, tags);
+
+    // PgnParser keeps its parsing messages along with the tags
+    delete allTags.messages;
+
+    return Object.entries(allTags)
+        .map(([name, value]) => `[${name} "${getPGNTagText(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"]`)
+        .join('\n');
+}
+
+/**
+ * Write a puzzle out as a PGN game, keeping its original tags, FEN and moves
+ *
+ * @param {object} puzzle - The puzzle (see pgn-import.js)
+ * @returns {string}
+ */
+function formatPuzzlePGN(puzzle) {
+    const tags = Object.assign({}, puzzle.Tags);
+    const startPly = puzzle.StartPly || 0;
+
+    // Games from a PGN file keep their movetext exactly as it was (along with any PGNTrainerStartPly tag)
+    if (puzzle.PGN && (startPly === 0 || tags.PGNTrainerStartPly)) {
+        const result = puzzle.PGN.trim().match(/(1-0|0-1|1\/2-1\/2|\*)$/);
+
+        // Match the Result tag to the game termination marker if the file left the tag out
+        if (!tags.Result && result) {
+            tags.Result = result[1];
+        }
+
+        return formatPGNTags(tags) + '\n\n' + puzzle.PGN.trim();
+    }
+
+    // Otherwise start after any setup moves (ie: the opponent's move of a Lichess puzzle) so that the
+    // exported game starts with the move to find
+    const chess = new Chess(puzzle.StartFEN);
+    let node = puzzle.Tree;
+
+    for (let ply = 0; ply < startPly; ply++) {
+        node = node.children[0];
+        chess.move(node.san);
+    }
+
+    tags.SetUp = '1';
+    tags.FEN = chess.fen();
+
+    return formatPGNTags(tags) + '\n\n' + formatMoveTreePGN(tags.FEN, node, 0) + ' ' + getPGNTagText(tags.Result || '*');
+}
@@ -0,0 +1,236 @@
+/*
+ * PGN Import Module for Chess PGN Trainer
+ * Turns the games of a PGN file into puzzles.  Used by the PGN worker (pgn-worker.js) and,
+ * when web workers are not available, directly by the page.  Nothing in here touches the DOM.
+ * Other puzzle formats (EPD in epd-import.js and the Lichess puzzle CSV in lichess-import.js)
+ * produce the same puzzles and are picked with getPuzzleImporter().
+ *
+ * A puzzle looks like:
+ *
+ *   {
+ *     Event:       <string>   -- Event tag
+ *     Series:      <string>   -- Event tag
+ *     White:       <string>   -- White tag
+ *     Black:       <string>   -- Black tag
+ *     FEN:         <string>   -- FEN tag (undefined for games from the normal start position)
+ *     PGN:         <string>   -- the movetext of the game (PGN files only)
+ *     Tags:        <object>   -- every tag of the game
+ *     GameNumber:  <int>      -- position of the game in the file (starting from 1, skipped games included)
+ *     Comment:     <string>   -- comment before the first move (if any)
+ *     colorFields: [<string>] -- [%csl] squares of the comment before the first move (if any)
+ *     colorArrows: [<string>] -- [%cal] arrows of the comment before the first move (if any)
+ *     Rating:      <int>      -- puzzle rating (Lichess puzzles only)
+ *     Themes:      [<string>] -- puzzle themes (Lichess puzzles only)
+ *     StartFEN:    <string>   -- the starting position, always filled in
+ *     StartPly:    <int>      -- number of moves played automatically before the trainer starts (if any)
+ *     Side:        <string>   -- the side the user plays, 'w' or 'b' (if set with PGNTrainerSide)
+ *     Hint:        <string>   -- text shown when the hint is used (if set with PGNTrainerHint)
+ *     TimeLimit:   <int>      -- seconds allowed to solve the puzzle (if set with PGNTrainerTimeLimit)
+ *     SAN:         [<string>] -- the main line in chess.js SAN
+ *     Tree:        <node>     -- the move tree of the game (see move-tree.js)
+ *   }
+ */
+
+/**
+ * Work out the format of a puzzle file from its file extension, or from its contents when it has none (ie: pasted text)
+ *
+ * @param {string} text - The contents of the file
+ * @param {string} name - The name of the file (if any)
+ * @returns {string} The format of the file ('pgn', 'epd' or 'lichess')
+ */
+function detectPuzzleFormat(text, name) {
+    const extension = ((name || '').match(/\.([^.\s]+)$/) || ['', ''])[1].toLowerCase();
+    const firstLine = text.trim().split(/\r?\n/)[0];
+
+    if (extension === 'epd') {
+        return 'epd';
+    }
+
+    if (extension === 'csv') {
+        return 'lichess';
+    }
+
+    if (extension === 'pgn') {
+        return 'pgn';
+    }
+
+    if (isEPDRecord(firstLine)) {
+        return 'epd';
+    }
+
+    return isLichessPuzzleRow(firstLine) ? 'lichess' : 'pgn';
+}
+
+/**
+ * Get the functions that split a puzzle file into its records and turn a record into a puzzle
+ *
+ * @param {string} format - The format of the file ('pgn', 'epd' or 'lichess')
+ * @returns {object} The split and parse functions of the format
+ */
+function getPuzzleImporter(format) {
+    if (format === 'epd') {
+        return { split: splitEPDRecords, parse: parseEPDRecord };
+    }
+
+    if (format === 'lichess') {
+        return { split: splitLichessPuzzles, parse: parseLichessPuzzle };
+    }
+
+    return { split: splitPGNGames, parse: parsePGNGame };
+}
+
+/**
+ * Split the text of a PGN file into its games
+ *
+ * @param {string} PGNData - The PGN text data to split. Can comprise of one or more games
+ * @returns {array} The games as returned by PgnParser.split (tags and pgn text)
+ */
+function splitPGNGames(PGNData) {
+    return PgnParser.split(PGNData, { startRule: 'games' });
+}
+
+/**
+ * Parse, validate and precompute a single game of a PGN file
+ *
+ * @param {object} PGNGame - The game as returned by PgnParser.split
+ * @param {int} index - The position of the game in the PGN file (starting from 0)
+ * @returns {object} Either { puzzle } or { issue } with the reason the game was skipped
+ */
+function parsePGNGame(PGNGame, index) {
+    let tags = {};
+    let moves;
+    let gameComment;
+
+    // Skip (and report) any game that the parser can't read
+    try {
+        ({ tags } = PgnParser.parse(PGNGame.tags, { startRule: 'tags' }));
+        ({ moves, gameComment } = PgnParser.parse(PGNGame.pgn, { startRule: 'game' }));
+    } catch (err) {
+        return { issue: createValidationIssue(index, tags.Event, 'Unable to read the PGN: ' + err.message) };
+    }
+
+    const puzzle = {};
+    puzzle.Event = (tags.Event);
+    puzzle.Series = (tags.Event);
+
+    puzzle.White = (tags.White);
+    puzzle.Black = (tags.Black);
+
+    puzzle.FEN = (tags.FEN);
+    puzzle.PGN = (PGNGame.pgn);
+    puzzle.Tags = tags;
+    puzzle.GameNumber = index + 1;
+
+    // Comment (and square/arrow annotations) before the first move (if any)
+    if (gameComment && gameComment.comment) { puzzle.Comment = gameComment.comment.trim(); }
+    if (gameComment && gameComment.colorFields) { puzzle.colorFields = gameComment.colorFields; }
+    if (gameComment && gameComment.colorArrows) { puzzle.colorArrows = gameComment.colorArrows; }
+
+    // Skip (and report) any game that can't be played
+    const reason = validatePuzzle(puzzle.FEN, moves);
+    if (reason !== '') {
+        return { issue: createValidationIssue(index, tags.Event, reason) };
+    }
+
+    // Work out everything loadPuzzle needs now so that it does not have to replay the game
+    puzzle.StartFEN = new Chess(puzzle.FEN).fen();
+    puzzle.Tree = buildMoveTree(puzzle.FEN, moves);
+    puzzle.SAN = getTreeMainline(puzzle.Tree);
+
+    // Options of this puzzle set with the PGNTrainer tags
+    const tagReason = readPuzzleTrainerTags(puzzle, tags);
+    if (tagReason !== '') {
+        return { issue: createValidationIssue(index, tags.Event, tagReason) };
+    }
+
+    return { puzzle: puzzle };
+}
+
+/**
+ * Read the per-puzzle PGNTrainer tags of a game (values that can't be read are ignored)
+ *
+ *   PGNTrainerHint       -- text shown when the hint is used
+ *   PGNTrainerTimeLimit  -- seconds allowed to solve the puzzle
+ *   PGNTrainerStartPly   -- number of half moves played automatically before the trainer starts
+ *   PGNTrainerSide       -- the side the user plays (White or Black)
+ *
+ * @param {object} puzzle - The puzzle, with its main line already worked out
+ * @param {object} tags - The tags of the game
+ * @returns {string} The reason the game can't be played with these tags, or an empty string if it can
+ */
+function readPuzzleTrainerTags(puzzle, tags) {
+    const hint = String(tags.PGNTrainerHint || '').trim();
+    const timeLimit = parseInt(tags.PGNTrainerTimeLimit, 10);
+    const startPly = parseInt(tags.PGNTrainerStartPly, 10);
+    const side = String(tags.PGNTrainerSide || '').trim().toLowerCase();
+
+    if (hint !== '') {
+        puzzle.Hint = hint;
+    }
+
+    if (timeLimit > 0) {
+        puzzle.TimeLimit = timeLimit;
+    }
+
+    if (startPly > 0) {
+        // There has to be at least one move left to find
+        if (startPly >= puzzle.SAN.length) {
+            return `PGNTrainerStartPly (${startPly}) is past the last move of the game`;
+        }
+
+        puzzle.StartPly = startPly;
+    }
+
+    if (side === 'white' || side === 'w') {
+        puzzle.Side = 'w';
+    } else if (side === 'black' || side === 'b') {
+        puzzle.Side = 'b';
+    }
+
+    return '';
+}
+
+/**
+ * Check that a game can be played: valid FEN with a side to move, at least one move and no illegal moves
+ *
+ * @param {string} FEN - The FEN tag of the game (undefined for the normal start position)
+ * @param {array} moves - The moves array returned by PgnParser.parse for the game
+ * @returns {string} The reason the game is not valid, or an empty string if it is
+ */
+function validatePuzzle(FEN, moves) {
+    if (FEN) {
+        const fields = FEN.trim().split(/\s+/);
+
+        if (fields.length < 2 || (fields[1] !== 'w' && fields[1] !== 'b')) {
+            return 'The FEN is missing the side to move';
+        }
+
+        const fenCheck = new Chess().validate_fen(FEN.trim());
+        if (!fenCheck.valid) {
+            return 'Invalid FEN: ' + fenCheck.error;
+        }
+    }
+
+    if (!moves || moves.length === 0) {
+        return 'The game has no moves';
+    }
+
+    const illegalMove = findIllegalMove(FEN, moves);
+    if (illegalMove) {
+        return 'Illegal move: ' + illegalMove;
+    }
+
+    return '';
+}
+
+/**
+ * Create an entry for the validation report
+ *
+ * @param {int} index - The position of the game in the PGN file (starting from 0)
+ * @param {string} event - The value of the Event tag of the game (if any)
+ * @param {string} reason - Why the game was skipped
+ * @returns {object}
+ */
+function createValidationIssue(index, event, reason) {
+    return { game: index + 1, event: event || '', reason: reason };
+}
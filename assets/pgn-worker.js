@@ -0,0 +1,57 @@
+/*
+ * PGN Worker for Chess PGN Trainer
+ * Parses and validates a PGN (or EPD / Lichess puzzle CSV) file off the main thread so that large files do not freeze the page.
+ *
+ * Receives { text, format } with the contents of the file and its format, and posts back:
+ *
+ *   { type: 'progress', parsed, total, puzzles: [...], issues: [...] }  -- after every batch of games
+ *   { type: 'done' }                                                    -- once every game is parsed
+ *   { type: 'error', message }                                          -- if the file can't be split into games
+ */
+
+/* global importScripts, getPuzzleImporter */
+
+importScripts(
+    'https://cdnjs.cloudflare.com/ajax/libs/chess.js/0.10.2/chess.js',
+    'https://cdn.jsdelivr.net/npm/@mliebelt/pgn-parser',
+    'move-tree.js',
+    'pgn-import.js',
+    'epd-import.js',
+    'lichess-import.js'
+);
+
+// Number of games parsed between progress messages
+const PGN_BATCH_SIZE = 100;
+
+self.onmessage = (event) => {
+    const importer = getPuzzleImporter(event.data.format);
+    let games;
+
+    try {
+        games = importer.split(event.data.text);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+        return;
+    }
+
+    let puzzles = [];
+    let issues = [];
+
+    games.forEach((PGNGame, index) => {
+        const result = importer.parse(PGNGame, index);
+
+        if (result.puzzle) {
+            puzzles.push(result.puzzle);
+        } else {
+            issues.push(result.issue);
+        }
+
+        if ((index + 1) % PGN_BATCH_SIZE === 0 || index === games.length - 1) {
+            self.postMessage({ type: 'progress', parsed: index + 1, total: games.length, puzzles: puzzles, issues: issues });
+            puzzles = [];
+            issues = [];
+        }
+    });
+
+    self.postMessage({ type: 'done' });
+};
@@ -0,0 +1,115 @@
+/*
+ * Playlist Module for Chess PGN Trainer
+ * Combines several puzzle files (ie: Chessimo 1 to 5) into a single set.  Every puzzle of a
+ * playlist remembers the file it comes from:
+ *
+ *   SourceFile:  <string>   -- the name (or path) of the file, as used when the file is loaded on its own
+ *   SourceIndex: <int>      -- the position of the puzzle in that file (starting from 0, skipped games included)
+ *
+ * so that the spaced repetition cards and the per-file stats line up with single-file sessions.
+ *
+ * The files can either be played one after the other ('sequential') or mixed together ('mixed').
+ */
+
+/**
+ * Get a short label for a puzzle file (ie: './PGN/1.pgn' → '1')
+ *
+ * @param {string} path - The name or path of the file
+ * @returns {string}
+ */
+function getPuzzleFileLabel(path) {
+    return (path || '').split(/[\\/]/).pop().replace(/\.[^.\s]+$/, '');
+}
+
+/**
+ * Get the name of a playlist (ie: '1 + 2 + 3')
+ *
+ * @param {array} files - The names or paths of the files in the playlist
+ * @returns {string}
+ */
+function getPlaylistName(files) {
+    return files.map(getPuzzleFileLabel).join(' + ');
+}
+
+/**
+ * Group puzzles by the file they come from, keeping the order of the files
+ *
+ * @param {array} puzzles - The puzzles of the set
+ * @param {array} indexes - The index (in the set) of the puzzles to group
+ * @returns {array} One array of indexes per file
+ */
+function groupPuzzlesByFile(puzzles, indexes) {
+    const groups = new Map();
+
+    indexes.forEach((index) => {
+        const file = puzzles[index].SourceFile || '';
+
+        if (!groups.has(file)) {
+            groups.set(file, []);
+        }
+        groups.get(file).push(index);
+    });
+
+    return [...groups.values()];
+}
+
+/**
+ * Mix groups of puzzles together by taking one puzzle from each group in turn
+ *
+ * @param {array} groups - The groups of indexes
+ * @returns {array} The indexes
+ */
+function interleavePuzzleGroups(groups) {
+    const order = [];
+    const longest = Math.max(0, ...groups.map((group) => group.length));
+
+    for (let position = 0; position < longest; position++) {
+        groups.forEach((group) => {
+            if (position < group.length) {
+                order.push(group[position]);
+            }
+        });
+    }
+
+    return order;
+}
+
+/**
+ * Work out the order of the puzzles of a playlist for a run
+ *
+ * @param {array} puzzles - The puzzles of the set
+ * @param {array} indexes - The index (in the set) of the puzzles of the run
+ * @param {string} order - 'sequential' to play the files one after the other, 'mixed' to mix them together
+ * @param {boolean} randomize - True to shuffle the puzzles (within each file when sequential)
+ * @returns {array} The indexes in the order they are to be played
+ */
+function orderPlaylistPuzzles(puzzles, indexes, order, randomize) {
+    const groups = groupPuzzlesByFile(puzzles, indexes);
+
+    if (order === 'mixed') {
+        return randomize ? shuffle(indexes.slice()) : interleavePuzzleGroups(groups);
+    }
+
+    return [].concat(...groups.map((group) => (randomize ? shuffle(group.slice()) : group)));
+}
+
+/**
+ * Break down the results of a run by the file each puzzle comes from
+ *
+ * @param {array} puzzles - The puzzles of the set
+ * @param {array} indexes - The index (in the set) of the puzzles of the run
+ * @param {object} puzzleErrors - The number of errors made on each puzzle (by index in the set)
+ * @param {object} puzzleRetries - The number of times each puzzle was replayed after its solution was shown (by index in the set)
+ * @param {object} puzzlePeeks - The number of times the position of each puzzle was peeked at in blindfold mode (by index in the set)
+ * @returns {array} The file, number of puzzles, number of errors, number of replays and number of peeks of every file
+ */
+function getPlaylistFileResults(puzzles, indexes, puzzleErrors, puzzleRetries = {}, puzzlePeeks = {}) {
+    return groupPuzzlesByFile(puzzles, indexes).map((group) => ({
+        file: puzzles[group[0]].SourceFile || '',
+        series: puzzles[group[0]].Series,
+        puzzles: group.length,
+        errors: group.reduce((total, index) => total + (puzzleErrors[index] || 0), 0),
+        retries: group.reduce((total, index) => total + (puzzleRetries[index] || 0), 0),
+        peeks: group.reduce((total, index) => total + (puzzlePeeks[index] || 0), 0)
+    }));
+}
@@ -0,0 +1,211 @@
+/*
+ * Puzzle Filter Module for Chess PGN Trainer
+ * Selects the puzzles of a loaded set by their tags (ie: only the games of a given opening, player,
+ * period or theme) so that large mixed collections can be drilled without splitting the files.
+ * Puzzles can also be picked by their number in the file (ie: "1-20, 35, 50-55").
+ *
+ * A filter looks like:
+ *
+ *   { tag: 'ECO', value: 'B2, C4' }              -- the tag contains any of the comma separated values
+ *   { tag: 'Themes', value: 'fork' }             -- tags listing several words must contain the word
+ *   { tag: 'Date', from: '1990', to: '1999.06' } -- date tags must be within the range (either end optional)
+ *
+ * A puzzle is kept when it matches every filter.
+ */
+
+// Tags that hold a space separated list of words rather than a single value
+const MULTI_VALUE_TAGS = ['Themes', 'OpeningTags'];
+
+// Tags that are not useful to filter on
+const UNFILTERED_TAGS = ['messages', 'FEN', 'SetUp'];
+
+// Maximum number of suggested values shown for a tag
+const MAX_TAG_VALUES = 100;
+
+/**
+ * Check if a tag holds a date (ie: Date, EventDate or UTCDate)
+ *
+ * @param {string} tag - The name of the tag
+ * @returns {boolean}
+ */
+function isDateTag(tag) {
+    return /Date$/.test(tag);
+}
+
+/**
+ * Get the names of the tags found across a set of puzzles
+ *
+ * @param {array} puzzles - The puzzles of the set
+ * @returns {array} The tag names, sorted
+ */
+function getPuzzleTagNames(puzzles) {
+    const names = new Set();
+
+    puzzles.forEach((puzzle) => Object.keys(puzzle.Tags || {}).forEach((name) => names.add(name)));
+
+    return [...names]
+        .filter((name) => !UNFILTERED_TAGS.includes(name) && !name.startsWith('PGNTrainer'))
+        .sort();
+}
+
+/**
+ * Get the most common values of a tag across a set of puzzles (used as suggestions when building a filter)
+ *
+ * @param {array} puzzles - The puzzles of the set
+ * @param {string} tag - The name of the tag
+ * @returns {array} The values, most common first
+ */
+function getPuzzleTagValues(puzzles, tag) {
+    const counts = new Map();
+
+    puzzles.forEach((puzzle) => {
+        if (!puzzle.Tags || puzzle.Tags[tag] === undefined) {
+            return;
+        }
+
+        const text = getPGNTagText(puzzle.Tags[tag]);
+        const values = MULTI_VALUE_TAGS.includes(tag) ? text.split(/\s+/) : [text];
+
+        values
+            .filter((value) => value !== '' && value !== '?')
+            .forEach((value) => counts.set(value, (counts.get(value) || 0) + 1));
+    });
+
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, MAX_TAG_VALUES)
+        .map(([value]) => value);
+}
+
+/**
+ * Turn a (possibly partial) PGN date into a value that can be compared (ie: '1990' → '1990.00.00')
+ *
+ * @param {string} date - The date, using '.', '-' or '/' as separators
+ * @param {boolean} isEnd - True for the end of a range, so that missing parts match the whole year/month
+ * @returns {string}
+ */
+function normaliseFilterDate(date, isEnd) {
+    const filler = isEnd ? '99' : '00';
+    const parts = date.trim().split(/[.\-/]/).map((part) => part.replace(/\?/g, ''));
+
+    const year = (parts[0] || '').padStart(4, '0');
+    const month = parts[1] ? parts[1].padStart(2, '0') : filler;
+    const day = parts[2] ? parts[2].padStart(2, '0') : filler;
+
+    return `${year}.${month}.${day}`;
+}
+
+/**
+ * Check if a puzzle matches a single filter
+ *
+ * @param {object} puzzle - The puzzle
+ * @param {object} filter - The filter
+ * @returns {boolean}
+ */
+function puzzleMatchesFilter(puzzle, filter) {
+    const tags = puzzle.Tags || {};
+
+    if (tags[filter.tag] === undefined) {
+        return false;
+    }
+
+    const text = getPGNTagText(tags[filter.tag]);
+
+    if (isDateTag(filter.tag)) {
+        // Unknown dates never match a date range
+        if (/^\?/.test(text)) {
+            return false;
+        }
+
+        const date = normaliseFilterDate(text, false);
+        return (!filter.from || date >= normaliseFilterDate(filter.from, false)) &&
+            (!filter.to || date <= normaliseFilterDate(filter.to, true));
+    }
+
+    const wanted = (filter.value || '').split(',').map((value) => value.trim().toLowerCase()).filter((value) => value !== '');
+    if (wanted.length === 0) {
+        return true;
+    }
+
+    if (MULTI_VALUE_TAGS.includes(filter.tag)) {
+        const words = text.toLowerCase().split(/\s+/);
+        return wanted.some((value) => words.includes(value));
+    }
+
+    return wanted.some((value) => text.toLowerCase().includes(value));
+}
+
+/**
+ * Get the puzzles of a set that match every filter
+ *
+ * @param {array} puzzles - The puzzles of the set
+ * @param {array} filters - The filters
+ * @returns {array} The index (in the set) of every matching puzzle
+ */
+function getFilteredPuzzleIndexes(puzzles, filters) {
+    const indexes = [];
+
+    puzzles.forEach((puzzle, index) => {
+        if (filters.every((filter) => puzzleMatchesFilter(puzzle, filter))) {
+            indexes.push(index);
+        }
+    });
+
+    return indexes;
+}
+
+/**
+ * Describe a filter for the list of active filters (ie: 'ECO contains B2 or C4')
+ *
+ * @param {object} filter - The filter
+ * @returns {string}
+ */
+function describeFilter(filter) {
+    if (isDateTag(filter.tag)) {
+        if (filter.from && filter.to) { return `${filter.tag} from ${filter.from} to ${filter.to}`; }
+        if (filter.from) { return `${filter.tag} from ${filter.from}`; }
+        return `${filter.tag} up to ${filter.to}`;
+    }
+
+    const values = filter.value.split(',').map((value) => value.trim()).filter((value) => value !== '');
+    return `${filter.tag} ${MULTI_VALUE_TAGS.includes(filter.tag) ? 'includes' : 'contains'} ${values.join(' or ')}`;
+}
+
+/**
+ * Read a list of puzzle numbers and ranges (ie: "1-20, 35, 50-55")
+ *
+ * @param {string} text - The numbers and ranges, separated by commas
+ * @returns {array|null} The ranges as [first, last] pairs (empty for all puzzles), or null if the text can't be read
+ */
+function parsePuzzleRange(text) {
+    const ranges = [];
+
+    for (const part of (text || '').split(',')) {
+        if (part.trim() === '') {
+            continue;
+        }
+
+        const range = part.trim().match(/^(\d+)\s*(?:[-\u2013]\s*(\d+))?$/);
+        if (!range) {
+            return null;
+        }
+
+        const first = parseInt(range[1], 10);
+        const last = range[2] ? parseInt(range[2], 10) : first;
+
+        ranges.push([Math.min(first, last), Math.max(first, last)]);
+    }
+
+    return ranges;
+}
+
+/**
+ * Check if a puzzle number is part of a list of ranges
+ *
+ * @param {int} number - The number of the puzzle in the file (starting from 1)
+ * @param {array} ranges - The ranges returned by parsePuzzleRange (empty for all puzzles)
+ * @returns {boolean}
+ */
+function isPuzzleInRange(number, ranges) {
+    return ranges.length === 0 || ranges.some(([first, last]) => number >= first && number <= last);
+}
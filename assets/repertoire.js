@@ -0,0 +1,392 @@
+/*
+ * Repertoire Module for Chess PGN Trainer
+ * Merges the games of a set into a single tree of positions so that an opening repertoire can be
+ * drilled move by move.  Positions are keyed by their FEN (without the move counters) so that move
+ * orders transposing into the same position share their continuations.
+ *
+ * A repertoire looks like:
+ *
+ *   {
+ *     positions: { <key>: { FEN: <string>, moves: [<move>] } },
+ *     roots:     [<key>]  -- the starting position of the games
+ *   }
+ *
+ * and each move looks like:
+ *
+ *   {
+ *     san:   <string>  -- the move in chess.js SAN
+ *     key:   <string>  -- the key of the position the move leads to
+ *     game:  <int>     -- index (in the set) of the first game with the move
+ *     ...              -- the comments, NAGs and square/arrow annotations of the move (first game wins)
+ *   }
+ *
+ * The user's progress is a set of '<key> <san>', one entry for each of the user's moves played
+ * correctly.  A line (from a starting position to the end of a game) is learned once every one of
+ * the user's moves along it is in the set.  Moves of the user marked as mistakes (?, ?? or ?!) are
+ * played as known mistakes and are not part of any line.
+ */
+
+// Annotations of a move copied from the move trees of the games
+const REPERTOIRE_ANNOTATIONS = ['comment', 'commentBefore', 'nags', 'colorFields', 'colorArrows'];
+
+/**
+ * Get the key of a position: the FEN without the halfmove clock and fullmove number, and with the
+ * en passant square only when an en passant capture can be played (chess.js sets it after every
+ * double pawn push, which would keep transpositions apart)
+ *
+ * @param {chess} chess - A chess.js object set to the position
+ * @returns {string}
+ */
+function getPositionKey(chess) {
+    const fields = chess.fen().split(' ').slice(0, 4);
+
+    if (fields[3] !== '-' && !hasEnPassantCapture(chess, fields[3])) {
+        fields[3] = '-';
+    }
+
+    return fields.join(' ');
+}
+
+/**
+ * Check if an en passant capture can be played.  Only the pawns next to the pawn that was pushed are
+ * looked at, as generating every move of every position is slow for large files.
+ *
+ * @param {chess} chess - A chess.js object set to the position
+ * @param {string} square - The en passant square of the FEN (ie: 'e3')
+ * @returns {boolean}
+ */
+function hasEnPassantCapture(chess, square) {
+    const turn = chess.turn();
+    const rank = turn === 'w' ? '5' : '4';
+    const file = square.charCodeAt(0);
+
+    return [file - 1, file + 1]
+        .filter((code) => code >= 'a'.charCodeAt(0) && code <= 'h'.charCodeAt(0))
+        .map((code) => String.fromCharCode(code) + rank)
+        .filter((from) => {
+            const piece = chess.get(from);
+            return piece !== null && piece.type === 'p' && piece.color === turn;
+        })
+        // The capture can still be illegal (ie: a pinned pawn)
+        .some((from) => chess.moves({ square: from, verbose: true }).some((move) => move.flags.includes('e')));
+}
+
+/**
+ * Play a move given in chess.js SAN.  chess.js works out the SAN of every legal move to read one,
+ * which is slow for large files, so the squares of the move are found first and the move is played
+ * from them instead.
+ *
+ * @param {chess} chess - A chess.js object set to the position
+ * @param {string} san - The move (as given by chess.js)
+ * @returns {object|null} The chess.js move, or null if the move can't be played
+ */
+function playSANMove(chess, san) {
+    const turn = chess.turn();
+    const homeRank = turn === 'w' ? '1' : '8';
+
+    if (/^O-O-O/.test(san)) {
+        return chess.move({ from: 'e' + homeRank, to: 'c' + homeRank });
+    }
+    if (/^O-O/.test(san)) {
+        return chess.move({ from: 'e' + homeRank, to: 'g' + homeRank });
+    }
+
+    const move = san.match(/^([NBRQK])?([a-h])?([1-8])?x?([a-h][1-8])(?:=([NBRQ]))?/);
+    if (!move) {
+        return chess.move(san);
+    }
+
+    const type = (move[1] || 'P').toLowerCase();
+    const promotion = move[5] ? move[5].toLowerCase() : undefined;
+
+    // The SAN only disambiguates between legal moves, so a candidate piece may still be pinned
+    for (const from of chess.SQUARES) {
+        const piece = chess.get(from);
+
+        if (piece === null || piece.type !== type || piece.color !== turn ||
+            (move[2] && from[0] !== move[2]) || (move[3] && from[1] !== move[3])) {
+            continue;
+        }
+
+        const result = chess.move({ from: from, to: move[4], promotion: promotion });
+        if (result !== null) {
+            return result;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Merge the games of a set into a repertoire
+ *
+ * @param {array} puzzles - The puzzles of the set
+ * @param {array} indexes - The index (in the set) of the games to merge
+ * @returns {object} The repertoire
+ */
+function buildRepertoire(puzzles, indexes) {
+    const repertoire = { positions: {}, roots: [] };
+
+    indexes.forEach((index) => {
+        const puzzle = puzzles[index];
+        const chess = new Chess(puzzle.StartFEN || puzzle.FEN);
+        const tree = puzzle.Tree || buildMoveTree(puzzle.FEN, puzzle.Moves);
+        const key = addRepertoirePosition(repertoire, chess);
+
+        if (!repertoire.roots.includes(key)) {
+            repertoire.roots.push(key);
+        }
+
+        addRepertoireMoves(repertoire, chess, key, tree, index);
+    });
+
+    return repertoire;
+}
+
+/**
+ * Add the current position of a game to a repertoire (if it is not already in it)
+ *
+ * @param {object} repertoire - The repertoire
+ * @param {chess} chess - A chess.js object set to the position
+ * @returns {string} The key of the position
+ */
+function addRepertoirePosition(repertoire, chess) {
+    const key = getPositionKey(chess);
+
+    if (!repertoire.positions[key]) {
+        repertoire.positions[key] = { FEN: chess.fen(), moves: [] };
+    }
+
+    return key;
+}
+
+/**
+ * Add the moves below a node of a game's move tree (main line and variations) to a repertoire.
+ * The chess object is left in the same position it was given in.
+ *
+ * @param {object} repertoire - The repertoire
+ * @param {chess} chess - A chess.js object set to the position of the node
+ * @param {string} key - The key of the position
+ * @param {object} node - The tree node
+ * @param {int} game - The index (in the set) of the game
+ */
+function addRepertoireMoves(repertoire, chess, key, node, game) {
+    const position = repertoire.positions[key];
+
+    node.children.forEach((child) => {
+        playSANMove(chess, child.san);
+
+        let move = position.moves.find((x) => x.san === child.san);
+        if (!move) {
+            move = { san: child.san, key: addRepertoirePosition(repertoire, chess), game: game };
+            REPERTOIRE_ANNOTATIONS
+                .filter((field) => child[field] !== undefined)
+                .forEach((field) => { move[field] = child[field]; });
+            position.moves.push(move);
+        }
+
+        addRepertoireMoves(repertoire, chess, move.key, child, game);
+        chess.undo();
+    });
+}
+
+/**
+ * Check if it is the user's turn in a position
+ *
+ * @param {string} key - The key of the position
+ * @param {string} side - The side played by the user ('w' or 'b')
+ * @returns {boolean}
+ */
+function isRepertoireUserTurn(key, side) {
+    return key.split(' ')[1] === side;
+}
+
+/**
+ * Get the moves that continue the lines of a position (leaving out the user's known mistakes)
+ *
+ * @param {object} repertoire - The repertoire
+ * @param {string} key - The key of the position
+ * @param {string} side - The side played by the user ('w' or 'b')
+ * @returns {array} The moves
+ */
+function getRepertoireLineMoves(repertoire, key, side) {
+    const moves = repertoire.positions[key].moves;
+
+    return isRepertoireUserTurn(key, side) ? moves.filter((move) => !isMistakeNode(move)) : moves;
+}
+
+/**
+ * Count the lines from a position, and how many of them are learned
+ *
+ * @param {object} repertoire - The repertoire
+ * @param {string} key - The key of the position
+ * @param {string} side - The side played by the user ('w' or 'b')
+ * @param {Set} learnedMoves - The user's moves played correctly ('<key> <san>')
+ * @param {Map} memo - The counts already worked out (positions can be reached by several move orders)
+ * @param {Set} visiting - The positions of the line being counted (in case a line repeats a position)
+ * @returns {object} The number of lines ({ total, learned })
+ */
+function countRepertoireLines(repertoire, key, side, learnedMoves, memo = new Map(), visiting = new Set()) {
+    if (memo.has(key)) {
+        return memo.get(key);
+    }
+
+    const moves = getRepertoireLineMoves(repertoire, key, side);
+    if (moves.length === 0 || visiting.has(key)) {
+        return { total: 1, learned: 1 };
+    }
+
+    const count = { total: 0, learned: 0 };
+    const isUserTurn = isRepertoireUserTurn(key, side);
+
+    visiting.add(key);
+    moves.forEach((move) => {
+        const lines = countRepertoireLines(repertoire, move.key, side, learnedMoves, memo, visiting);
+
+        count.total += lines.total;
+        if (!isUserTurn || learnedMoves.has(key + ' ' + move.san)) {
+            count.learned += lines.learned;
+        }
+    });
+    visiting.delete(key);
+
+    memo.set(key, count);
+    return count;
+}
+
+/**
+ * Count the lines of a whole repertoire, and how many of them are learned
+ *
+ * @param {object} repertoire - The repertoire
+ * @param {string} side - The side played by the user ('w' or 'b')
+ * @param {Set} learnedMoves - The user's moves played correctly ('<key> <san>')
+ * @returns {object} The number of lines ({ total, learned })
+ */
+function countRepertoireProgress(repertoire, side, learnedMoves) {
+    const memo = new Map();
+
+    return repertoire.roots
+        .map((key) => countRepertoireLines(repertoire, key, side, learnedMoves, memo))
+        .reduce((total, lines) => ({ total: total.total + lines.total, learned: total.learned + lines.learned }),
+            { total: 0, learned: 0 });
+}
+
+/**
+ * Pick an item of an array at random
+ *
+ * @param {array} items - The items
+ * @returns {*}
+ */
+function pickRandomItem(items) {
+    return items[Math.floor(Math.random() * items.length)];
+}
+
+/**
+ * Build the next line to drill as a puzzle.  The opponent's replies are picked at random, from the
+ * branches that still have lines to learn whenever there are any.  All the user's known moves are
+ * accepted, so the line is a move tree with a branch for each of them.
+ *
+ * @param {object} repertoire - The repertoire
+ * @param {string} side - The side played by the user ('w' or 'b')
+ * @param {Set} learnedMoves - The user's moves played correctly ('<key> <san>')
+ * @returns {object} The puzzle of the line (see pgn-import.js) along with the index of the game its main line ends in (Game)
+ */
+function buildRepertoireLine(repertoire, side, learnedMoves) {
+    const memo = new Map();
+    const hasLinesToLearn = (key) => {
+        const lines = countRepertoireLines(repertoire, key, side, learnedMoves, memo);
+        return lines.learned < lines.total;
+    };
+
+    const roots = repertoire.roots.filter(hasLinesToLearn);
+    const root = pickRandomItem(roots.length > 0 ? roots : repertoire.roots);
+    const tree = { san: null, children: [], key: root };
+
+    addRepertoireLineMoves(repertoire, tree, side, learnedMoves, hasLinesToLearn, new Set());
+
+    const mainline = getTreeMainline(tree);
+    const lastMove = findTreeNode(tree, mainline);
+
+    return {
+        FEN: repertoire.positions[root].FEN,
+        StartFEN: repertoire.positions[root].FEN,
+        Tree: tree,
+        SAN: mainline,
+        Side: side,
+        Game: lastMove.game,
+    };
+}
+
+/**
+ * Add a copy of a move of the repertoire to a line
+ *
+ * @param {object} node - The node of the line to add the move to
+ * @param {object} move - The move of the repertoire
+ * @returns {object} The new node
+ */
+function addRepertoireLineChild(node, move) {
+    const child = Object.assign({}, move, { children: [] });
+
+    node.children.push(child);
+    return child;
+}
+
+/**
+ * Add the moves following a node of a line being built (see buildRepertoireLine)
+ *
+ * @param {object} repertoire - The repertoire
+ * @param {object} node - The node of the line (with the key of its position)
+ * @param {string} side - The side played by the user ('w' or 'b')
+ * @param {Set} learnedMoves - The user's moves played correctly ('<key> <san>')
+ * @param {function} hasLinesToLearn - Checks if a position still has lines to learn
+ * @param {Set} path - The positions of the line so far (in case the games repeat a position)
+ */
+function addRepertoireLineMoves(repertoire, node, side, learnedMoves, hasLinesToLearn, path) {
+    const key = node.key;
+
+    if (path.has(key)) {
+        return;
+    }
+
+    path.add(key);
+
+    if (isRepertoireUserTurn(key, side)) {
+        const isToLearn = (move) => !learnedMoves.has(key + ' ' + move.san) || hasLinesToLearn(move.key);
+        const moves = getRepertoireLineMoves(repertoire, key, side);
+
+        // Moves still to learn come first so that the hint gives one of them
+        moves.filter(isToLearn).concat(moves.filter((move) => !isToLearn(move))).forEach((move) => {
+            addRepertoireLineMoves(repertoire, addRepertoireLineChild(node, move), side, learnedMoves, hasLinesToLearn, path);
+        });
+
+        // Known mistakes are shown with the rest of the game that refutes them
+        repertoire.positions[key].moves.filter(isMistakeNode).forEach((move) => {
+            addRepertoireRefutation(repertoire, addRepertoireLineChild(node, move), new Set(path));
+        });
+    } else {
+        const moves = getRepertoireLineMoves(repertoire, key, side);
+
+        if (moves.length > 0) {
+            const openMoves = moves.filter((move) => hasLinesToLearn(move.key));
+            const move = pickRandomItem(openMoves.length > 0 ? openMoves : moves);
+
+            addRepertoireLineMoves(repertoire, addRepertoireLineChild(node, move), side, learnedMoves, hasLinesToLearn, path);
+        }
+    }
+
+    path.delete(key);
+}
+
+/**
+ * Add the first known continuation of a position to a line (ie: the refutation of a mistake)
+ *
+ * @param {object} repertoire - The repertoire
+ * @param {object} node - The node of the line (with the key of its position)
+ * @param {Set} path - The positions of the line so far (in case the games repeat a position)
+ */
+function addRepertoireRefutation(repertoire, node, path) {
+    while (!path.has(node.key) && repertoire.positions[node.key].moves.length > 0) {
+        path.add(node.key);
+        node = addRepertoireLineChild(node, repertoire.positions[node.key].moves[0]);
+    }
+}
@@ -5,10 +5,18 @@
 
 /**
  * Saves the current game state object to localStorage.
+ * A failed write (ie: the storage quota is exceeded) is reported but does not interrupt the game.
  * @param {Object} state - The game state to persist
+ * @returns {boolean} True if the state was saved
  */
 function saveGameState(state) {
-    localStorage.setItem('savedGameState', JSON.stringify(state));
+    try {
+        localStorage.setItem('savedGameState', JSON.stringify(state));
+        return true;
+    } catch (error) {
+        console.warn('The game could not be saved: ' + error);
+        return false;
+    }
 }
 
 /**
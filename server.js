@@ -4,6 +4,8 @@ const path = require('path');
 
 const PORT = 5000;
 const HOST = '0.0.0.0';
+const PGN_DIR = path.join(__dirname, 'PGN');
+const MAX_EVENTS_PER_FILE = 10;
 
 const mimeTypes = {
   '.html': 'text/html',
@@ -19,10 +21,134 @@ const mimeTypes = {
   '.pgn': 'application/x-chess-pgn'
 };
 
+/**
+ * Check that a path is inside the folder of the app, so that requests (ie: an encoded '..') can't read files outside it
+ */
+function isInsideRoot(fullPath) {
+  return path.resolve(fullPath).startsWith(__dirname + path.sep);
+}
+
+/**
+ * Count the games in a PGN file and summarise their Event tags.
+ * A game starts with a block of tags, or with a block of moves that has no tags in front of it.
+ */
+function summarisePgn(text) {
+  const blocks = text.replace(/\r\n/g, '\n').split(/\n\s*\n/).map((block) => block.trim()).filter(Boolean);
+  const events = new Map();
+  let games = 0;
+  let previousWasTags = false;
+
+  for (const block of blocks) {
+    const isTags = block.startsWith('[');
+
+    if (!previousWasTags) {
+      games += 1;
+    }
+
+    if (isTags) {
+      const event = block.match(/^\[Event\s+"([^"]*)"\]/m);
+      const name = event ? event[1] : '';
+      events.set(name, (events.get(name) || 0) + 1);
+    }
+
+    previousWasTags = isTags;
+  }
+
+  return {
+    games,
+    events: [...events.entries()]
+      .filter(([name]) => name !== '' && name !== '?')
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_EVENTS_PER_FILE)
+      .map(([name, count]) => ({ name, count }))
+  };
+}
+
+/**
+ * Find every PGN file below a directory.  Subfolders are reported as collections.
+ */
+async function listPgnFiles(dir, collection) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  entries.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+  for (const entry of entries) {
+    const fullPath = path.resolve(dir, entry.name);
+
+    if (!isInsideRoot(fullPath)) {
+      continue;
+    }
+
+    if (entry.isDirectory()) {
+      const subCollection = collection ? collection + '/' + entry.name : entry.name;
+      files.push(...await listPgnFiles(fullPath, subCollection));
+    } else if (path.extname(entry.name).toLowerCase() === '.pgn') {
+      const text = await fs.promises.readFile(fullPath, 'utf8');
+
+      files.push({
+        name: entry.name,
+        path: './' + path.relative(__dirname, fullPath).split(path.sep).join('/'),
+        collection: collection,
+        ...summarisePgn(text)
+      });
+    }
+  }
+
+  return files;
+}
+
+/**
+ * GET /api/pgn - List the PGN library
+ */
+function handlePgnList(res) {
+  listPgnFiles(PGN_DIR, '')
+    .then((files) => {
+      res.writeHead(200, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-cache, no-store, must-revalidate'
+      });
+      res.end(JSON.stringify({ files }));
+    })
+    .catch((error) => {
+      res.writeHead(500);
+      res.end('Server error: ' + error.code);
+    });
+}
+
 const server = http.createServer((req, res) => {
-  let filePath = '.' + req.url;
-  if (filePath === './') {
-    filePath = './index.html';
+  // Parse against a fixed base, the Host header can't be trusted to make a valid URL
+  let pathname;
+  try {
+    pathname = new URL(req.url, 'http://localhost').pathname;
+  } catch (error) {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+
+  if (pathname === '/api/pgn') {
+    handlePgnList(res);
+    return;
+  }
+
+  // File names may contain spaces (ie: the Polgar set) which arrive encoded
+  let filePath;
+  try {
+    filePath = path.resolve(__dirname, '.' + decodeURIComponent(pathname));
+  } catch (error) {
+    res.writeHead(400);
+    res.end('Bad request');
+    return;
+  }
+  if (filePath === __dirname) {
+    filePath = path.join(__dirname, 'index.html');
+  }
+
+  if (!isInsideRoot(filePath)) {
+    res.writeHead(403);
+    res.end('Forbidden');
+    return;
   }
 
   const extname = path.extname(filePath).toLowerCase();